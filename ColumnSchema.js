@@ -7,6 +7,16 @@ class ColumnSchema {
      * @property {Boolean} unique If true, the column will not allow duplicate values for a single key.
      * @property {Boolean} multiEntry If true, the column will add an entry in the entry for each array element when the keyPath resolves to an array. If false, it will add one single entry containing the array.
      * @property {String} locale A string containing a specific locale code, e.g. en-US, or pl
+     * @property {String} [type] The type every value must be: "string", "number", "boolean", "date", "array" or "object".
+     * @property {Boolean} [required] If true, every row must have a value (other than null) for this column.
+     * @property {*} [default] The value given to rows added without one. Pass a function to work out a new value for each row, e.g. `() => new Date()`.
+     * @property {Array} [enum] The only values allowed.
+     * @property {Number|Date} [min] The lowest number or date allowed.
+     * @property {Number|Date} [max] The highest number or date allowed.
+     * @property {RegExp|String} [pattern] A regular expression every text value must match.
+     * @property {Function} [validate] Receives the value and the row. Returns true if the value is valid, or false or a message explaining why it is not.
+     * @property {String} [references] The name of the table whose key this column holds (a foreign key). Rows can only be added if the row they reference exists. Holds several keys if the column is multiEntry.
+     * @property {String} [onDelete] What happens to rows referencing a row that is deleted: "restrict" (the delete is rejected, the default), "cascade" (they are deleted too) or "setNull" (the reference is removed).
      */
 
     /**
@@ -20,19 +30,102 @@ class ColumnSchema {
     };
     /**
      * The name of the column.
+     * Compound columns are named after the columns they are made of joined with a "+", e.g. `lastName+firstName`.
      * @type {String}
      */
     name = "";
+    /**
+     * Where the value of this column is found in each row.
+     * For compound columns this is an array of the names of the columns it is made of.
+     * @type {String|Array.<String>}
+     */
+    keyPath = "";
 
     /**
      * Generates a column blueprint for use in the TableSchema.
-     * @param {String} name The name of the column.
+     * @example new ColumnSchema("lastName")
+     * @example new ColumnSchema(["lastName", "firstName"]) // A compound column
+     * @param {String|Array.<String>} name The name of the column. Pass an array of names to make a compound column that searches those columns together.
      * @param {ColumnSchemaOptions} [options] The options you want to initialise this column with.
      */
     constructor(name, options = this.options) {
-        this.name = name;
+        if(Array.isArray(name) && name.length < 2) throw Error("Error in ColumnSchema. Attempting to generate a compound column with fewer than 2 columns.");
+        if(options.type !== undefined && !ColumnSchema.types[options.type]) throw Error(`Error in ColumnSchema. Attempting to generate column (${name}) with an unknown type (${options.type}). Use one of: ${Object.keys(ColumnSchema.types).join(", ")}.`);
+        if(options.enum !== undefined && !Array.isArray(options.enum)) throw Error(`Error in ColumnSchema. Attempting to generate column (${name}) with an enum that is not an array.`);
+        if(options.validate !== undefined && typeof options.validate !== "function") throw Error(`Error in ColumnSchema. Attempting to generate column (${name}) with a validate option that is not a function.`);
+        if(options.onDelete !== undefined && !["restrict", "cascade", "setNull"].includes(options.onDelete)) throw Error(`Error in ColumnSchema. Attempting to generate column (${name}) with an unknown onDelete (${options.onDelete}). Use one of: restrict, cascade, setNull.`);
+        this.name = Array.isArray(name) ? name.join("+") : name;
+        this.keyPath = name;
         this.options = options;
     }
+
+    /**
+     * The types a column can be restricted to, and how to tell if a value is of that type.
+     * @type {Object.<Function>}
+     */
+    static types = {
+        string: value => typeof value === "string",
+        number: value => typeof value === "number" && !Number.isNaN(value),
+        boolean: value => typeof value === "boolean",
+        date: value => value instanceof Date && !Number.isNaN(value.getTime()),
+        array: value => Array.isArray(value),
+        object: value => value !== null && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date)
+    };
+
+    /**
+     * Checks a value against the constraints of this column (`type`, `required`, `enum`, `min`, `max`, `pattern` and `validate`).
+     * Compound columns are made of other columns, so they have no constraints of their own.
+     * @example new ColumnSchema("age", { type: "number", min: 0 }).check(-1) // Result: ["must be at least 0"]
+     * @param {*} value The value of this column in the row.
+     * @param {Object} [row] The whole row, passed on to `validate`.
+     * @returns {Array.<String>} Why the value is not allowed. Empty if it is allowed.
+     */
+    check(value, row) {
+        if(this.isCompound) return [];
+        const options = this.options || {};
+        if(value === undefined || value === null)
+            return options.required ? ["is required"] : [];
+
+        const problems = [];
+        if(options.type !== undefined && !ColumnSchema.types[options.type](value))
+            problems.push(`must be of type ${options.type}`);
+        if(options.enum !== undefined && !options.enum.includes(value))
+            problems.push(`must be one of: ${options.enum.map(option => JSON.stringify(option)).join(", ")}`);
+        if(options.min !== undefined && (typeof value === "number" || value instanceof Date) && value < options.min)
+            problems.push(`must be at least ${options.min instanceof Date ? options.min.toISOString() : options.min}`);
+        if(options.max !== undefined && (typeof value === "number" || value instanceof Date) && value > options.max)
+            problems.push(`must be at most ${options.max instanceof Date ? options.max.toISOString() : options.max}`);
+        if(options.pattern !== undefined && (typeof value !== "string" || !new RegExp(options.pattern).test(value)))
+            problems.push(`must match ${options.pattern}`);
+        if(options.validate !== undefined) {
+            let result;
+            try {
+                result = options.validate(value, row);
+            } catch (error) {
+                result = error.message;
+            }
+            if(result === false) problems.push("is not valid");
+            else if(typeof result === "string") problems.push(result);
+        }
+        return problems;
+    }
+
+    /**
+     * Works out the default value of this column for a new row.
+     * @returns {*} Undefined if this column has no default.
+     */
+    getDefault() {
+        const defaultValue = this.options && this.options.default;
+        return typeof defaultValue === "function" ? defaultValue() : defaultValue;
+    }
+
+    /**
+     * True if this column is made of more than one column.
+     * @type {Boolean}
+     */
+    get isCompound() {
+        return Array.isArray(this.keyPath);
+    }
 }
 
 export default ColumnSchema;
\ No newline at end of file
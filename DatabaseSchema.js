@@ -26,18 +26,61 @@ class DatabaseSchema {
      */
     tableNames = [];
 
+    /**
+     * The version of your database. Increase this each time you add a migration.
+     * @type {Number}
+     */
+    version = 1;
+
+    /**
+     * The migrations that upgrade older versions of this database, ordered by version.
+     * @type {Array.<Migration>}
+     */
+    migrations = [];
+
     /**
      * Generates a database blueprint for use in LocalDatabase.
+     * 
+     * `tables` always describes the latest version of your database. `migrations` describe how to get there from an older version without losing any rows.
      * @param {String} name 
      * @param {Array.<TableSchema>} [tables] An array of the tables you want to have in this database.
+     * @param {Number} [version] The version of your database. Increase this each time you add a migration.
+     * @param {Array.<Migration>} [migrations] The migrations that upgrade older versions of this database.
      */
-    constructor(name, tables = []) {
+    constructor(name, tables = [], version = 1, migrations = []) {
+        if(!Number.isInteger(version) || version < 1) throw Error(`Error in DatabaseSchema. Attempting to generate a database with an invalid version (${version}). Versions must be whole numbers of 1 or greater.`);
+        const tooNew = migrations.find(migration => migration.version > version);
+        if(tooNew) throw Error(`Error in DatabaseSchema. The migration for version ${tooNew.version} is newer than the database version (${version}). Make sure you increase the database version when adding a migration.`);
         this.name = name;
         this.tables = tables;
+        this.version = version;
+        this.migrations = [...migrations].sort((a, b) => a.version - b.version);
         tables.map(table => { 
             this.tableMap[table.name] = table; 
             this.tableNames.push(table.name);
         });
+        for(const table of tables) {
+            for(const column of table.otherColumns) {
+                const referenced = column.options && column.options.references;
+                if(referenced === undefined) continue;
+                if(!this.tableMap[referenced]) throw Error(`Error in DatabaseSchema. Column (${column.name}) in table (${table.name}) references table (${referenced}), which is not in the database.`);
+                if(this.tableMap[referenced].keyColumn.isCompound) throw Error(`Error in DatabaseSchema. Column (${column.name}) in table (${table.name}) references table (${referenced}), which has a compound key column. Only tables with a single key column can be referenced.`);
+            }
+            for(const hookTable of table.hookTables) {
+                if(!this.tableMap[hookTable]) throw Error(`Error in DatabaseSchema. The hooks of table (${table.name}) use table (${hookTable}), which is not in the database.`);
+            }
+        }
+    }
+
+    /**
+     * Finds the columns that reference a table.
+     * @param {String} tableName 
+     * @returns {Array.<{table: TableSchema, column: ColumnSchema}>} The referencing columns and the tables they are in.
+     */
+    getReferencesTo(tableName) {
+        return this.tables.flatMap(table => table.otherColumns
+            .filter(column => column.options && column.options.references === tableName)
+            .map(column => ({ table, column })));
     }
 }
 
@@ -0,0 +1,219 @@
+/**
+ * The base class of every error LocalDatabase rejects with, so they can be told apart from other errors with `instanceof`.
+ */
+class LocalDatabaseError extends Error {
+    /**
+     * The name of the table the error happened in, if any.
+     * @type {String|undefined}
+     */
+    table = undefined;
+
+    /**
+     * The query that was being answered, if any.
+     * @type {*}
+     */
+    query = undefined;
+
+    /**
+     * @param {String} message
+     * @param {Object} [details] Extra information about the error, copied onto it.
+     * @param {Error} [details.cause] The error that caused this one.
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = "LocalDatabaseError";
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * Thrown when the database can't be opened or upgraded because it is still open in another tab.
+ */
+class BlockedError extends LocalDatabaseError {
+    /**
+     * The name of the database that is blocked.
+     * @type {String}
+     */
+    database = "";
+
+    /**
+     * The version the database was being opened at.
+     * @type {Number}
+     */
+    version = 1;
+
+    /**
+     * @param {String} message
+     * @param {{database: String, version: Number, cause: Error}} [details]
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = "BlockedError";
+        // Class fields are set after super() returns, so the details are copied here rather than by LocalDatabaseError
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * Thrown when rows break the constraints of their columns (`type`, `required`, `enum`, `min`, `max`, `pattern` or `validate`).
+ * Nothing is written when this is thrown.
+ */
+class ValidationError extends LocalDatabaseError {
+    /**
+     * @typedef ValidationFailure
+     * @property {Number} [index] The position of the row in the rows being added. Not set for updates.
+     * @property {*} [key] The key of the row, if it has one.
+     * @property {String} column The name of the column.
+     * @property {*} value The value that is not allowed.
+     * @property {Array.<String>} problems Why the value is not allowed.
+     */
+
+    /**
+     * The name of the table the rows were written to.
+     * @type {String}
+     */
+    table = "";
+
+    /**
+     * Every value that is not allowed.
+     * @type {Array.<ValidationFailure>}
+     */
+    failures = [];
+
+    /**
+     * @param {String} message
+     * @param {{table: String, failures: Array.<ValidationFailure>}} [details]
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = "ValidationError";
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * Thrown when a write would break a reference between tables, such as adding a row that references a row that doesn't exist, or deleting a row other rows still reference.
+ * Also thrown when a row has the same key, or the same value in a unique column, as another row. `cause` is then the error from IndexedDB.
+ * Nothing is written when this is thrown.
+ */
+class ConstraintError extends LocalDatabaseError {
+    /**
+     * The name of the table holding the references.
+     * @type {String}
+     */
+    table = "";
+
+    /**
+     * The name of the column holding the references.
+     * @type {String}
+     */
+    column = "";
+
+    /**
+     * The keys that are referenced.
+     * @type {Array}
+     */
+    keys = [];
+
+    /**
+     * @param {String} message
+     * @param {{table: String, column: String, keys: Array, cause: Error}} [details]
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = "ConstraintError";
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * Thrown when a method is used before the database has been opened with `init` (or `LocalDatabase.open`).
+ */
+class NotInitialisedError extends LocalDatabaseError {
+    /**
+     * @param {String} message
+     */
+    constructor(message) {
+        super(message);
+        this.name = "NotInitialisedError";
+    }
+}
+
+/**
+ * Thrown when a table is not in the schema the database was opened with.
+ */
+class UnknownTableError extends LocalDatabaseError {
+    /**
+     * @param {String} message
+     * @param {{table: String}} [details]
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = "UnknownTableError";
+    }
+}
+
+/**
+ * Thrown when a column is not in the schema of its table, or can't be used the way it was asked to be.
+ */
+class UnknownColumnError extends LocalDatabaseError {
+    /**
+     * The name of the column.
+     * @type {String}
+     */
+    column = "";
+
+    /**
+     * @param {String} message
+     * @param {{table: String, column: String, query: *, cause: Error}} [details]
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = "UnknownColumnError";
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * Thrown when the browser has run out of storage space for the site. Nothing is written when this is thrown.
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/Storage_API/Storage_quotas_and_eviction_criteria
+ */
+class QuotaExceededError extends LocalDatabaseError {
+    /**
+     * @param {String} message
+     * @param {{table: String, query: *, cause: Error}} [details]
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = "QuotaExceededError";
+    }
+}
+
+/**
+ * Thrown when the database is opened at a version older than the one stored, such as when an older version of the app runs after a newer one upgraded the database.
+ */
+class VersionError extends LocalDatabaseError {
+    /**
+     * The name of the database.
+     * @type {String}
+     */
+    database = "";
+
+    /**
+     * The version the database was being opened at.
+     * @type {Number}
+     */
+    version = 1;
+
+    /**
+     * @param {String} message
+     * @param {{database: String, version: Number, cause: Error}} [details]
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = "VersionError";
+        Object.assign(this, details);
+    }
+}
+
+export { LocalDatabaseError, BlockedError, ValidationError, ConstraintError, NotInitialisedError, UnknownTableError, UnknownColumnError, QuotaExceededError, VersionError };
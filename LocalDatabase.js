@@ -1,416 +1,4131 @@
 import TableSchema from './TableSchema';
 import ColumnSchema from './ColumnSchema';
 import DatabaseSchema from './DatabaseSchema';
+import Migration from './Migration';
+import MemoryAdapter from './MemoryAdapter';
+import { LocalDatabaseError, BlockedError, ValidationError, ConstraintError, NotInitialisedError, UnknownTableError, UnknownColumnError, QuotaExceededError, VersionError } from './Errors';
 
 /**
  * A local database to handle local data storage such as the information about `items`.
+ * 
+ * Open a database with `await LocalDatabase.open(schema)` to get an instance, or use the static methods (`LocalDatabase.init`, `LocalDatabase.select`, ...) which all act on `LocalDatabase.defaultInstance`.
  */
  class LocalDatabase {
 
     /**
-     * Instance of IndexedDB.
+     * The open connection to IndexedDB.
      * @see https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase
      * @type {IDBDatabase}
      */
-    static instance = undefined;
+    connection = undefined;
+
+    /**
+     * Where the database is kept: `window.indexedDB`, a `LocalDatabase.MemoryAdapter`, or anything else with the same API as IndexedDB.
+     * Set by `init`.
+     * @type {IDBFactory|MemoryAdapter}
+     */
+    adapter = null;
+
     /**
-     * The version of your database. Upgrade this each time you want to add new features.
+     * The version of your database. This is taken from the `version` of the DatabaseSchema used to initialise the database.
      * 
      * The version of the database determines the database schema — the object stores in the database and their structure.
+     * IndexedDB stores the database at a higher version of its own, which also counts the changes applied automatically (see `_toStoredVersion`).
      * @see https://developer.mozilla.org/en-US/docs/Web/API/IDBDatabase/version
      */
-    static version = 1;
+    version = 1;
 
     /**
      * The schema used to initialise this database.
      * @type {DatabaseSchema}
      */
-    static schema = null;
+    schema = null;
+
+    /**
+     * If false, queries that no column can answer are rejected instead of scanning every row of the table.
+     * Turn this off in production to catch slow queries. It can also be set per query with the `allowFullScan` select option.
+     * @type {Boolean}
+     */
+    allowFullScan = true;
+
+    /**
+     * @typedef InitOptions
+     * @property {Boolean} allowDestructive If true, changes to the schema that lose data (dropped tables, changed key columns) are applied automatically. Otherwise `init` rejects with a report of what would be lost.
+     * @property {Number} [blockedTimeout] How long to wait, in milliseconds, for other tabs to close the database before an upgrade gives up and `init` rejects with a BlockedError. Defaults to 3000.
+     * @property {IDBFactory|MemoryAdapter} [adapter] Where to keep the database. Defaults to `LocalDatabase.defaultAdapter`, or IndexedDB if that is not set.
+     */
 
     /**
      * Initialise the LocalDatabase system.
+     * 
+     * Existing data is kept. If the stored database is older than `schema.version` the migrations in between are run first.
+     * Any tables or columns that are in the schema but not in the stored database are then created automatically, increasing the stored IndexedDB version if needed.
+     * Those increases stay below the IndexedDB version of the next schema version, so the migrations of later versions still run (see `_toStoredVersion`).
      * @param {DatabaseSchema} schema The database schema. Something like: {cats: [id, age, name]}
+     * @param {InitOptions} [options]
      * @async Make sure to await this method's completion before using any of the LocalDatabase database methods (select, add).
      */
-    static init(schema) {
-        if (!window.indexedDB) {
-            throw Error("Your browser doesn't support a stable version of IndexedDB. As such, this app cannot run properly.");
+    init(schema, options = { allowDestructive: false }) {
+        const adapter = LocalDatabase._getAdapter(options);
+        if (!adapter) {
+            return Promise.reject(new LocalDatabaseError("Your browser doesn't support a stable version of IndexedDB. As such, this app cannot run properly. To run without it, pass an adapter such as `{ adapter: new LocalDatabase.MemoryAdapter() }`."));
+        }
+
+        // Initialising again replaces the open connection, which would otherwise block any upgrade
+        if(this.connection) {
+            this.connection.close();
+            this.connection = undefined;
         }
+        this.schema = schema;
+        this.adapter = adapter;
+
+        return LocalDatabase._inspect(adapter, schema.name).then(snapshot => {
+            // Brand new database
+            if(!snapshot) 
+                return this._open(schema, LocalDatabase._toStoredVersion(schema.version), options);
+            // Migrations to run. Anything they do not cover is diffed during the upgrade.
+            if(snapshot.version < schema.version)
+                return this._open(schema, LocalDatabase._toStoredVersion(schema.version), options);
+
+            const diff = LocalDatabase._diffSchema(schema, snapshot);
+            if(!diff.hasChanges)
+                return this._open(schema, snapshot.storedVersion, options);
+            if(diff.isDestructive && !options.allowDestructive)
+                throw new LocalDatabaseError(`Error in LocalDatabase.init: The schema for database (${schema.name}) would lose data. Pass \`{ allowDestructive: true }\` to apply it anyway.\n\n${diff.report}`);
+            // Count up within the schema version, never reaching the stored version of the next one
+            const storedVersion = Math.max(snapshot.storedVersion, LocalDatabase._toStoredVersion(schema.version)) + 1;
+            if(LocalDatabase._toSchemaVersion(storedVersion) !== Math.max(snapshot.version, schema.version))
+                throw new LocalDatabaseError(`Error in LocalDatabase.init: The schema for database (${schema.name}) has changed too many times at version ${schema.version}. Increase its version to apply the changes.\n\n${diff.report}`);
+            return this._open(schema, storedVersion, options);
+        });
+    }
 
-        LocalDatabase.schema = schema;
+    /**
+     * How many IndexedDB versions each version of a schema has. Changes to the schema applied without increasing its version use up the IndexedDB versions in between.
+     * @type {Number}
+     */
+    static _versionScale = 1000;
+
+    /**
+     * Gets the IndexedDB version a schema version is first stored at.
+     * 
+     * IndexedDB only upgrades a database when its version increases, so applying schema changes automatically has to increase it.
+     * Schema versions are spaced out so those increases never reach the IndexedDB version of the next schema version, whose migrations would then be skipped.
+     * @example LocalDatabase._toStoredVersion(2) // Result: 2000
+     * @param {Number} version The version of a DatabaseSchema.
+     * @returns {Number}
+     */
+    static _toStoredVersion(version) {
+        return version * LocalDatabase._versionScale;
+    }
+
+    /**
+     * Gets the schema version a database stored at an IndexedDB version has been upgraded to.
+     * Databases stored before the versions were spaced out are stored at their schema version.
+     * @example LocalDatabase._toSchemaVersion(2001) // Result: 2
+     * @param {Number} storedVersion The IndexedDB version.
+     * @returns {Number}
+     */
+    static _toSchemaVersion(storedVersion) {
+        return storedVersion < LocalDatabase._versionScale ? storedVersion : Math.floor(storedVersion / LocalDatabase._versionScale);
+    }
+
+    /**
+     * Opens the database at a specific version, upgrading it if needed.
+     * @param {DatabaseSchema} schema 
+     * @param {Number} storedVersion The IndexedDB version to open the database at.
+     * @param {InitOptions} options 
+     * @returns {Promise}
+     */
+    _open(schema, storedVersion, options) {
+        const version = LocalDatabase._toSchemaVersion(storedVersion);
+        this.version = version;
+        const { blockedTimeout = 3000 } = options;
 
         // Attempt to access the IndexedDB API
-        window.indexedDB.deleteDatabase(schema.name);
-        const opening = window.indexedDB.open(schema.name, LocalDatabase.version);
+        const opening = this.adapter.open(schema.name, storedVersion);
 
         return new Promise((success, reject) => {
+            let upgradeError = null;
+            let upgradeTransaction = null;
+            let blockedTimer = null;
+            let isGivenUp = false;
+
             opening.onerror = event => {
-                console.error("Error: LocalDatabase opening error", event);
-                reject(new Error(`Error in opening IndexedDb. Make sure your browser supports IndexedDb and that you accept the request to initialise a local database. Also make sure you are running the right version!\n\nIndexedDb error:\n${event.target.error.name}: ${event.target.error.message}`));
+                clearTimeout(blockedTimer);
+                // The connection the upgrade was given is closed once it aborts, so using it would only fail with InvalidStateErrors
+                if(upgradeTransaction && this.connection === upgradeTransaction.db) this.connection = undefined;
+                if(isGivenUp) return;
+                const error = event.target.error;
+                if(upgradeError) {
+                    reject(new LocalDatabaseError(`Error in upgrading IndexedDb to version ${this.version}. No changes were made to your data.\n\nUpgrade error:\n${upgradeError.name}: ${upgradeError.message}`, { cause: upgradeError }));
+                    return;
+                }
+                // The upgrade ran but could not be stored, such as when storage is full. The open request itself only says it was aborted.
+                if(upgradeTransaction && upgradeTransaction.error && upgradeTransaction.error.name !== "AbortError") {
+                    reject(LocalDatabase._toError(`Error in LocalDatabase.init: Database (${schema.name}) could not be upgraded to version ${this.version}`, upgradeTransaction.error));
+                    return;
+                }
+                if(error && error.name === "VersionError") {
+                    reject(new VersionError(`Error in LocalDatabase.init: Database (${schema.name}) is stored at a newer version than ${version}, most likely by a newer version of this app in another tab. Reload the page to get the newer version.`, { database: schema.name, version, cause: error }));
+                    return;
+                }
+                reject(new LocalDatabaseError(`Error in opening IndexedDb. Make sure your browser supports IndexedDb and that you accept the request to initialise a local database. Also make sure you are running the right version!\n\nIndexedDb error:\n${error.name}: ${error.message}`, { cause: error }));
             }
     
     
-            opening.onblocked = event => {
-                console.error("Error: LocalDatabase blocked", event);
-                throw Error("Error in opening IndexedDb. There can only be one instance of this game running at a time. Please close that game before continuing.");
+            // Other tabs with the database open are sent a versionchange event asking them to close it. Give them a moment before giving up.
+            opening.onblocked = () => {
+                clearTimeout(blockedTimer);
+                blockedTimer = setTimeout(() => {
+                    isGivenUp = true;
+                    reject(new BlockedError(`Error in LocalDatabase.init: Database (${schema.name}) could not be upgraded to version ${version} because it is still open in another tab. Close or reload the other tabs using it and try again.`, { database: schema.name, version }));
+                }, blockedTimeout);
             }
     
     
             opening.onupgradeneeded = event => {
-                LocalDatabase.instance = event.target.result;
-                LocalDatabase.upgrade(schema);
+                clearTimeout(blockedTimer);
+                const transaction = event.target.transaction;
+                upgradeTransaction = transaction;
+                // init has already rejected, so don't upgrade behind the caller's back
+                if(isGivenUp) {
+                    transaction.abort();
+                    return;
+                }
+                this.connection = event.target.result;
+                // Aborting the upgrade rolls back every step that has already run.
+                const abortUpgrade = error => {
+                    upgradeError = error;
+                    transaction.abort();
+                }
+                try {
+                    this.upgrade(schema, LocalDatabase._toSchemaVersion(event.oldVersion), transaction, { onError: abortUpgrade, allowDestructive: options.allowDestructive });
+                } catch (error) {
+                    abortUpgrade(error);
+                }
             }
     
             opening.onsuccess = event => {
-                LocalDatabase.instance = event.target.result;
+                clearTimeout(blockedTimer);
+                if(isGivenUp) {
+                    event.target.result.close();
+                    return;
+                }
+                this.connection = event.target.result;
+                // Memory adapters live in this tab only, so there are no other tabs to tell
+                if(!(this.adapter instanceof MemoryAdapter)) this._openChannel(schema.name);
                 console.log("LocalDatabase initialised!");
                 success(event);
 
-                LocalDatabase.instance.onerror = event => {
-                    LocalDatabase.error(event)
-                }
-                LocalDatabase.instance.onversionchange = event => {
-                    LocalDatabase.instance.close();
-                    console.warn("A new version of this page is ready. Please reload or close this tab!");
-                    // @todo do something to make the user close this tab.
+                // Errors reaching the connection have already rejected the promise of the method that caused them, so there is no connection.onerror
+                // Another tab wants to upgrade the database, which it can't do until this tab lets go of it
+                this.connection.onversionchange = event => {
+                    const connection = event.target;
+                    if(this.connection === connection) this.close();
+                    else connection.close();
+                    this.onVersionChange(event);
                 }
             }
         })
     }
 
     /**
-     * Upgrades the database using the provided schema.
-     * @param {*} schema 
+     * @typedef UpgradeOptions
+     * @property {Function} onError Called with the error if a migration step fails after `upgrade` has returned.
+     * @property {Boolean} allowDestructive If true, schema changes that lose data are applied. Otherwise they fail the upgrade.
      */
-    static upgrade(schema) {
-        /**
-         * @important Make sure you update the `LocalDatabase.version` 
-         */
 
-        for(const table of schema.tables) {
-            // Set the tables (object stores)
-            const tableStore = LocalDatabase.instance.createObjectStore(table.name, { keyPath: table.keyColumn.name, autoIncrement: table.autoIncrement });
-            // Set the columns (indexes)
-            for(const column of table.otherColumns) {
-                tableStore.createIndex(column.name, column.name, column.options);
+    /**
+     * Upgrades the database using the provided schema.
+     * 
+     * A brand new database is built straight from the schema's tables. An existing database first runs the migrations newer than its stored version,
+     * then gets any tables and columns that are still missing or changed.
+     * @param {DatabaseSchema} schema 
+     * @param {Number} oldVersion The schema version the database was at before this upgrade. 0 if the database did not exist.
+     * @param {IDBTransaction} transaction The `versionchange` transaction the upgrade runs inside of.
+     * @param {UpgradeOptions} [options]
+     */
+    upgrade(schema, oldVersion, transaction, options = { onError: error => { throw error; }, allowDestructive: false }) {
+        if(oldVersion === 0) {
+            for(const table of schema.tables) {
+                this._createTable(table);
             }
+            return;
         }
+
+        const steps = schema.migrations
+            .filter(migration => migration.version > oldVersion && migration.version <= schema.version)
+            .flatMap(migration => migration.steps);
+        this._runMigrationSteps(steps, transaction, options.onError, () => {
+            const diff = LocalDatabase._diffSchema(schema, LocalDatabase._describeDatabase(this.connection, transaction));
+            if(diff.isDestructive && !options.allowDestructive)
+                throw new LocalDatabaseError(`Error in LocalDatabase.upgrade: The schema for database (${schema.name}) would lose data. Pass \`{ allowDestructive: true }\` to apply it anyway.\n\n${diff.report}`);
+            this._applySchemaDiff(diff, transaction);
+        });
     }
 
     /**
-     * Inserts (or updates on collision) multiple items to a table.
-     * @param {String} table 
-     * @param {Array.<Object>} objects 
-     * @param {AddOptions} options 
-     * @returns {Promise} Promise that resolves when all inserts have completed successfully.
-     * @async
+     * Runs migration steps one after the other. Steps that read rows (transform) must finish before the next step starts.
+     * @param {Array.<MigrationStep>} steps 
+     * @param {IDBTransaction} transaction 
+     * @param {Function} onError Called with the error if a step fails after this method has returned.
+     * @param {Function} onComplete Called once every step has run.
      */
-    static multiAdd(table, objects, options = { upsert: true }) {
-        return Promise.all(objects.map(object => LocalDatabase.add(table, object, options)));
+    _runMigrationSteps(steps, transaction, onError, onComplete) {
+        for(const [position, step] of steps.entries()) {
+            switch(step.action) {
+                case "createTable":
+                    this._createTable(step.tableSchema);
+                    break;
+                case "dropTable":
+                    this.connection.deleteObjectStore(step.table);
+                    break;
+                case "addColumn":
+                    transaction.objectStore(step.table).createIndex(step.column.name, step.column.keyPath, step.column.options);
+                    break;
+                case "removeColumn":
+                    transaction.objectStore(step.table).deleteIndex(step.columnName);
+                    break;
+                case "transform": {
+                    const remainingSteps = steps.slice(position + 1);
+                    const cursorRequest = transaction.objectStore(step.table).openCursor();
+                    cursorRequest.onsuccess = event => {
+                        const cursor = event.target.result;
+                        try {
+                            if(!cursor) {
+                                this._runMigrationSteps(remainingSteps, transaction, onError, onComplete);
+                                return;
+                            }
+                            const row = cursor.value;
+                            const transformed = step.callback(row);
+                            cursor.update(transformed === undefined ? row : transformed);
+                            cursor.continue();
+                        } catch (error) {
+                            onError(error);
+                        }
+                    }
+                    return;
+                }
+                default:
+                    throw new LocalDatabaseError(`Error in LocalDatabase.upgrade: Unknown migration step (${step.action}) for table (${step.table}).`);
+            }
+        }
+        onComplete();
     }
 
     /**
-     * @typedef AddOptions
-     * @property {Boolean} upsert https://en.wikipedia.org/wiki/Merge_(SQL)#Synonymous
+     * @typedef DatabaseSnapshot
+     * @property {Number} version The schema version the stored database has been upgraded to.
+     * @property {Number} [storedVersion] The IndexedDB version of the stored database. Only set when inspecting a stored database.
+     * @property {Object.<TableSnapshot>} tables The tables that exist in the stored database, by name.
      */
 
     /**
-     * Inserts (or updates on collision) an item to a table.
-     * @param {String} table
-     * @param {Object} object 
-     * @param {AddOptions} options 
-     * @returns {Promise}
-     * @async
+     * @typedef TableSnapshot
+     * @property {String|Array.<String>} keyPath 
+     * @property {Boolean} autoIncrement 
+     * @property {Object.<{keyPath: String|Array.<String>, unique: Boolean, multiEntry: Boolean}>} columns The indexes of the table, by name.
+     * @property {Number} [rowCount] The number of rows in the table, if they were counted.
      */
-    static add(table, object, options = { upsert: true }) {
-        if(!LocalDatabase.instance) throw Error("Error in LocalDatabase.add: The database has not yet been initialised! Please make sure you run `await LocalDatabase.init()` before using this.");
-        if(!table) throw Error("Error in LocalDatabase.add: No store defined.");
-        if(!LocalDatabase.schema.tableNames.includes(table)) throw Error(`Error in LocalDatabase.select: The specified table (${table}) was not found in the schema used to initialise the database.`);
-        return new Promise((success, reject) => {
-            const txn = LocalDatabase.instance.transaction(table, "readwrite");
-            const store = txn.objectStore(table);
 
-            if(options.upsert)
-                store.put(object);
-            else
-                store.add(object);
-            
-            txn.oncomplete = event => {
-                success(event);
-            }
+    /**
+     * @typedef SchemaDiff
+     * @property {Array.<TableSchema>} createTables Tables in the schema that do not exist yet.
+     * @property {Array.<TableSchema>} recreateTables Tables whose key column or key generator changed. *Destructive:* the table has to be emptied.
+     * @property {Array.<String>} dropTables Tables that exist but are no longer in the schema. *Destructive.*
+     * @property {Array.<{table: String, column: ColumnSchema}>} createColumns Columns in the schema that do not exist yet.
+     * @property {Array.<{table: String, column: ColumnSchema}>} changeColumns Columns whose options changed.
+     * @property {Array.<{table: String, columnName: String}>} removeColumns Columns that exist but are no longer in the schema. The values stay on the rows.
+     * @property {Boolean} hasChanges True if the stored database does not match the schema.
+     * @property {Boolean} isDestructive True if applying the diff loses rows.
+     * @property {String} report A readable list of the changes.
+     */
 
-            txn.onerror = event => {
-                console.error(`Error in LocalDatabase.add for store (${table}). Object, Options, Event:`, object, options, event);
-                reject(new Error(`Error in LocalDatabase.add for store (${table}). Check console.`));
-            }
-        })
+    /**
+     * Compares a schema with the database that is currently stored in the browser, without changing anything.
+     * 
+     * Useful to show users what would be lost before initialising with `{ allowDestructive: true }`.
+     * @param {DatabaseSchema} schema 
+     * @param {{adapter: IDBFactory|MemoryAdapter}} [options] Where the database is kept. Defaults to `LocalDatabase.defaultAdapter`, or IndexedDB if that is not set.
+     * @returns {Promise.<SchemaDiff>}
+     * @async
+     */
+    static diff(schema, options = {}) {
+        const adapter = LocalDatabase._getAdapter(options);
+        if (!adapter) {
+            return Promise.reject(new LocalDatabaseError("Your browser doesn't support a stable version of IndexedDB. As such, this app cannot run properly. To run without it, pass an adapter such as `{ adapter: new LocalDatabase.MemoryAdapter() }`."));
+        }
+        return LocalDatabase._inspect(adapter, schema.name).then(snapshot => LocalDatabase._diffSchema(schema, snapshot || { version: 0, tables: {} }));
     }
 
     /**
-     * Queries the store to select all entries matching the query.
-     * 
-     * **Selects are structured as:**
-     * 
-     * `{ columnName: desiredValue }` 
-     * 
-     * or 
-     * 
-     * `{ columnName: { $lt: desiredMax, $gt: desiredMin, $ne: notEqualTo } }`
-     * 
-     * @note All column queries are 1 layer deep. Querying columns that contain objects is not currently possible.
-     * 
-     * @note Range selectors are $lt (Less Than), $lte (Less Than or Equal To), $gt (Greater Than), $gte (Greater Than or Equal To), and $ne (Not Equal To)
-     * 
-     * @param {String} table 
-     * @param {*} query 
+     * Reads the structure of a stored database, including the number of rows in each table.
+     * @param {IDBFactory|MemoryAdapter} adapter Where the database is kept.
+     * @param {String} name The name of the database.
+     * @returns {Promise.<DatabaseSnapshot|null>} Resolves with null if the database does not exist yet.
      */
-    static select(table, query) {
-        if(!LocalDatabase.instance) throw Error("Error in LocalDatabase.select: The database has not yet been initialised! Please make sure you run `await LocalDatabase.init()` before using this.");
-        if(!table) throw Error("Error in LocalDatabase.select: No table defined.");
-        if(!LocalDatabase.schema.tableNames.includes(table)) throw Error(`Error in LocalDatabase.select: The specified table (${table}) was not found in the schema used to initialise the database.`);
+    static _inspect(adapter, name) {
         return new Promise((success, reject) => {
-            // Destructure query into $lt, $lte, $gte, $gt, $ne
-            // The below arrays will be populated with a series of arrays like: [columnName, columnEntry]
-            const additiveQueries = [];
-            const subtractiveQueries = [];
-            for(const [columnName, columnEntry] of Object.entries(query)) {
-                // Basic query for exact matches
-                if(LocalDatabase._isPrimitive(columnEntry) || columnEntry === null) {
-                    additiveQueries.push([columnName, columnEntry]);
-                    continue;
-                }
+            // Opening without a version never upgrades an existing database.
+            const opening = adapter.open(name);
+            let isNew = false;
 
+            opening.onupgradeneeded = event => {
+                // The database does not exist. Abort so we do not create an empty one.
+                isNew = true;
+                event.target.transaction.abort();
+            }
 
-                // Get the highest greater than value
-                let greaterThan = columnEntry.$gt !== undefined ? columnEntry.$gt : columnEntry.$gte;
-                if(columnEntry.$gt !== undefined && columnEntry.$gte !== undefined) {
-                    greaterThan = Math.max(columnEntry.$gt, columnEntry.$gte);
-                }
-                const isGte = greaterThan === columnEntry.$gte;
-                // Get the lowest less than value
-                let lessThan = columnEntry.$lt !== undefined ? columnEntry.$lt : columnEntry.$lte;
-                if(columnEntry.$lt !== undefined && columnEntry.$lte !== undefined) {
-                    lessThan = Math.min(columnEntry.$lt, columnEntry.$lte);
+            opening.onerror = event => {
+                if(isNew) {
+                    event.preventDefault();
+                    success(null);
+                    return;
                 }
-                const isLte = lessThan === columnEntry.$lte;
+                reject(LocalDatabase._toError(`Error in inspecting IndexedDb (${name})`, event.target.error));
+            }
 
+            opening.onsuccess = event => {
+                const database = event.target.result;
+                const tableNames = [...database.objectStoreNames];
+                if(tableNames.length === 0) {
+                    database.close();
+                    success({ version: LocalDatabase._toSchemaVersion(database.version), storedVersion: database.version, tables: {} });
+                    return;
+                }
 
-                // Within a range
-                if(lessThan !== undefined && greaterThan !== undefined)
-                    additiveQueries.push([columnName, IDBKeyRange.bound(greaterThan, lessThan, !isGte, !isLte)]);
+                const txn = database.transaction(tableNames, "readonly");
+                const snapshot = { ...LocalDatabase._describeDatabase(database, txn), storedVersion: database.version };
+                for(const tableName of tableNames) {
+                    txn.objectStore(tableName).count().onsuccess = event => {
+                        snapshot.tables[tableName].rowCount = event.target.result;
+                    }
+                }
+                txn.oncomplete = () => {
+                    database.close();
+                    success(snapshot);
+                }
+                txn.onerror = event => {
+                    database.close();
+                    reject(LocalDatabase._toError(`Error in inspecting IndexedDb (${name})`, event.target.error));
+                }
+            }
+        })
+    }
 
-                // Less than, no greater than
-                if(lessThan !== undefined && greaterThan === undefined)
-                    additiveQueries.push([columnName, IDBKeyRange.upperBound(columnEntry.$lt, !isLte)]);
+    /**
+     * Describes the tables and columns of an open database.
+     * @param {IDBDatabase} database 
+     * @param {IDBTransaction} transaction A transaction that covers every table in the database.
+     * @returns {DatabaseSnapshot}
+     */
+    static _describeDatabase(database, transaction) {
+        const tables = {};
+        for(const tableName of database.objectStoreNames) {
+            const store = transaction.objectStore(tableName);
+            const columns = {};
+            for(const indexName of store.indexNames) {
+                const index = store.index(indexName);
+                columns[indexName] = { keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+            }
+            tables[tableName] = { keyPath: store.keyPath, autoIncrement: store.autoIncrement, columns };
+        }
+        return { version: LocalDatabase._toSchemaVersion(database.version), tables };
+    }
 
-                // Greater than, no less than
-                if(lessThan === undefined && greaterThan !== undefined)
-                    additiveQueries.push([columnName, IDBKeyRange.lowerBound(columnEntry.$gt, !isGte)]);
+    /**
+     * Works out what has to change in a stored database to match a schema.
+     * @param {DatabaseSchema} schema 
+     * @param {DatabaseSnapshot} snapshot 
+     * @returns {SchemaDiff}
+     */
+    static _diffSchema(schema, snapshot) {
+        const diff = { createTables: [], recreateTables: [], dropTables: [], createColumns: [], changeColumns: [], removeColumns: [] };
+        const lines = [];
+        /**
+         * Describes how many rows a table would lose, if we know.
+         * @param {TableSnapshot} tableSnapshot 
+         * @returns {String}
+         */
+        const rowsLost = tableSnapshot => tableSnapshot.rowCount === undefined ? "all of its rows" : `${tableSnapshot.rowCount} row(s)`;
 
-                // Not equal to
-                if(columnEntry.$ne !== undefined)
-                    subtractiveQueries.push([columnName, columnEntry.$ne]);
-                    
+        for(const table of schema.tables) {
+            const stored = snapshot.tables[table.name];
+            if(!stored) {
+                diff.createTables.push(table);
+                lines.push(`+ Table (${table.name}) will be created.`);
+                continue;
+            }
+            if(!LocalDatabase._isSameKeyPath(stored.keyPath, table.keyColumn.keyPath) || stored.autoIncrement !== table.autoIncrement) {
+                diff.recreateTables.push(table);
+                lines.push(`! Table (${table.name}) changed its key column from (${stored.keyPath}${stored.autoIncrement ? ", auto increment" : ""}) to (${table.keyColumn.name}${table.autoIncrement ? ", auto increment" : ""}) and will be emptied, losing ${rowsLost(stored)}.`);
+                continue;
             }
 
-            /**
-             * Gets an array of promises from a set of queries to be actioned on.
-             * @param {Array} queryArray 
-             * @returns {Array}
-             */
-            const getPromisesFromQueryArray = queryArray => {
-                const txn = LocalDatabase.instance.transaction(table, "readonly");
-                const store = txn.objectStore(table);
-                const allPromises = [];
-                for(const query of queryArray) {
-                    allPromises.push(new Promise(complete => {
-                        const index = LocalDatabase._getIndex(store, query[0], "Error in LocalDatabase.select"); // [0] is the columnName
-                        const action = index.getAll(query[1]); // [1] is the value we want
-                        action.onsuccess = event => complete(event.target.result)
-                        action.onerror = event => {
-                            console.error(`Error in LocalDatabase.select for store (${table}). Query, Event:`, query, event);
-                            reject(new Error(`Error in LocalDatabase.select for store (${table}). Check console.`));
-                        }
-                    }))
+            for(const column of table.otherColumns) {
+                const storedColumn = stored.columns[column.name];
+                if(!storedColumn) {
+                    diff.createColumns.push({ table: table.name, column });
+                    lines.push(`+ Column (${column.name}) will be added to table (${table.name}).`);
+                    continue;
                 }
-                return allPromises;
+                const options = column.options || {};
+                if(!LocalDatabase._isSameKeyPath(storedColumn.keyPath, column.keyPath) || storedColumn.unique !== !!options.unique || storedColumn.multiEntry !== !!options.multiEntry) {
+                    diff.changeColumns.push({ table: table.name, column });
+                    lines.push(`~ Column (${column.name}) in table (${table.name}) changed its options and will be rebuilt.`);
+                }
+            }
+            for(const columnName of Object.keys(stored.columns)) {
+                if(table.otherColumns.some(column => column.name === columnName)) continue;
+                diff.removeColumns.push({ table: table.name, columnName });
+                lines.push(`- Column (${columnName}) will be removed from table (${table.name}). Its values stay on the rows.`);
             }
+        }
+        for(const [tableName, stored] of Object.entries(snapshot.tables)) {
+            if(schema.tableNames.includes(tableName)) continue;
+            diff.dropTables.push(tableName);
+            lines.push(`! Table (${tableName}) is not in the schema and will be dropped, losing ${rowsLost(stored)}.`);
+        }
 
-            // Perform additive queries
-            const additivePromises = getPromisesFromQueryArray(additiveQueries);
-            // Perform subtractive queries
-            const subtractivePromises = getPromisesFromQueryArray(subtractiveQueries);
+        diff.hasChanges = lines.length > 0;
+        diff.isDestructive = diff.recreateTables.length > 0 || diff.dropTables.length > 0;
+        diff.report = lines.join("\n");
+        return diff;
+    }
 
-            // Await all additive promises' completion
-            Promise.all(additivePromises).then(additiveResult => {
-                // If there is just 1 result, and there is no $ne queries return that.
-                if(subtractiveQueries.length === 0 && additiveResult.length <= 1) {
-                    success(additiveResult[0]);
-                    return;
-                }
+    /**
+     * Applies a schema diff inside of a `versionchange` transaction.
+     * @param {SchemaDiff} diff 
+     * @param {IDBTransaction} transaction 
+     */
+    _applySchemaDiff(diff, transaction) {
+        for(const tableName of diff.dropTables) {
+            this.connection.deleteObjectStore(tableName);
+        }
+        for(const table of diff.recreateTables) {
+            this.connection.deleteObjectStore(table.name);
+            this._createTable(table);
+        }
+        for(const table of diff.createTables) {
+            this._createTable(table);
+        }
+        for(const { table, columnName } of diff.removeColumns) {
+            transaction.objectStore(table).deleteIndex(columnName);
+        }
+        for(const { table, column } of diff.changeColumns) {
+            const store = transaction.objectStore(table);
+            store.deleteIndex(column.name);
+            store.createIndex(column.name, column.keyPath, column.options);
+        }
+        for(const { table, column } of diff.createColumns) {
+            transaction.objectStore(table).createIndex(column.name, column.keyPath, column.options);
+        }
+    }
 
-                /**
-                 * Uses LocalDatabase._consolidate to consolidate the arrays nested within the array of arrays provided.
-                 * @param {Array.<Array>} arrayOfArrays
-                 * @returns {Array.<Array>} This result will be the consolidated and stringified version of the passed array.
-                 */
-                const intersectAndStringifyArrayOfArrays = arrayOfArrays => {
-                    // NOTE: Because the results are objects, we have to turn them into primitives for comparison
-                    let isFirst = true;
-                    return arrayOfArrays.reduce((accumulation, current) => {
-                        // Skip the first element (premature optimisation maybe)
-                        if(isFirst) {
-                            isFirst = false;
-                            return accumulation;
-                        }
-                        // Convert all entries of the current array to JSON.
-                        return LocalDatabase._intersect(accumulation, LocalDatabase._stringifyArrayElements(current));
-                    }, LocalDatabase._stringifyArrayElements(arrayOfArrays[0])); // We need the initial value to be the first entry otherwise we will always get nothing because the intersection of nothing with something is nothing.
-                }
+    /**
+     * Returns true if two IndexedDB key paths point to the same place.
+     * @param {String|Array.<String>} keyPathA 
+     * @param {String|Array.<String>} keyPathB 
+     * @returns {Boolean}
+     */
+    static _isSameKeyPath(keyPathA, keyPathB) {
+        return JSON.stringify(keyPathA) === JSON.stringify(keyPathB);
+    }
 
-                // Merge results
-                const stringifiedAdditiveResults = intersectAndStringifyArrayOfArrays(additiveResult);
+    /**
+     * Creates a table (object store) and all of its columns (indexes).
+     * @param {TableSchema} table 
+     * @returns {IDBObjectStore}
+     */
+    _createTable(table) {
+        // Set the tables (object stores)
+        const tableStore = this.connection.createObjectStore(table.name, { keyPath: table.keyColumn.keyPath, autoIncrement: table.autoIncrement });
+        // Set the columns (indexes)
+        for(const column of table.otherColumns) {
+            tableStore.createIndex(column.name, column.keyPath, column.options);
+        }
+        return tableStore;
+    }
 
-                // If we do not need to remove any results using subtractive queries, return.
-                if(subtractivePromises.length === 0) {
-                    success(LocalDatabase._parseArrayElements(stringifiedAdditiveResults));
-                    return;
-                }
+    /**
+     * Makes sure the database has been initialised.
+     * @param {String} method The name of the method being used, for the error message.
+     * @throws {NotInitialisedError}
+     */
+    _checkInitialised(method) {
+        if(!this.connection) throw new NotInitialisedError(`Error in LocalDatabase.${method}: The database has not yet been initialised! Please make sure you run \`await LocalDatabase.init()\` before using this.`);
+    }
 
-                // Filter out subtractive queries
-                Promise.all(subtractivePromises).then(subtractiveResult => {
-                    const stringifiedSubtractiveResults = intersectAndStringifyArrayOfArrays(subtractiveResult);
-                    const stringifiedMergedResults = LocalDatabase._difference(stringifiedAdditiveResults, stringifiedSubtractiveResults);
-                    success(LocalDatabase._parseArrayElements(stringifiedMergedResults));
-                    return;
-                });
-                
-            })
-        })
+    /**
+     * Makes sure the database has been initialised and a table is in its schema.
+     * @param {String} method The name of the method being used, for the error message.
+     * @param {String} table 
+     * @throws {NotInitialisedError|UnknownTableError}
+     */
+    _checkTable(method, table) {
+        this._checkInitialised(method);
+        if(!table) throw new UnknownTableError(`Error in LocalDatabase.${method}: No table defined.`, { table });
+        if(!this.schema.tableNames.includes(table)) throw new UnknownTableError(`Error in LocalDatabase.${method}: The specified table (${table}) was not found in the schema used to initialise the database.`, { table });
     }
 
-    static delete(table, query) {
-        if(!LocalDatabase.instance) throw Error("Error in LocalDatabase.delete: The database has not yet been initialised! Please make sure you run `await LocalDatabase.init()` before using this.");
-        if(!table) throw Error("Error in LocalDatabase.delete: No table defined.");
-        if(!LocalDatabase.schema.tableNames.includes(table)) throw Error(`Error in LocalDatabase.delete: The specified table (${table}) was not found in the schema used to initialise the database.`);
-
-        return new Promise(success => {
-            // Select all entries to be deleted
-            LocalDatabase.select(table, query).then(results => {
-                // Find out what the key column is for this table
-                const tableSchema = LocalDatabase.schema.tableMap[table];
-                const keyColumn = tableSchema.keyColumn.name;
-        
-                // Get an array of keys from the results.
-                const keyArray = results.map(entry => entry[keyColumn]);
-                // Initiate delete 
-                const deletePromises = [];
-                for(const key of keyArray) {
-                    deletePromises.push(new Promise((delSuccess, delReject) => {
-                        const txn = LocalDatabase.instance.transaction([tableSchema.name], "readwrite");
-                        txn.objectStore(tableSchema.name).delete(key);
-
-                        txn.oncomplete = event => { 
-                            delSuccess(event);
-                        }
-                        txn.onerror = event => {
-                            console.error(`Error in LocalDatabase.delete for store (${table}). Query, Event:`, query, event);
-                            reject(new Error(`Error in LocalDatabase.delete for store (${table}). Check console.`));
-                        }
-                    }))
+    /**
+     * @typedef MultiAddOptions
+     * @property {Boolean} [upsert=true] https://en.wikipedia.org/wiki/Merge_(SQL)#Synonymous
+     * @property {Number} [chunkSize] If set, the items are written in transactions of this many items each, rather than all in one transaction.
+     * Useful for very large imports. If a chunk fails, the chunks before it stay written.
+     */
+
+    /**
+     * @typedef WriteResult
+     * @property {Number} inserted The number of new rows.
+     * @property {Number} updated The number of existing rows that were replaced.
+     */
+
+    /**
+     * Inserts (or updates on collision) multiple items to a table in a single transaction.
+     * @param {String} table 
+     * @param {Array.<Object>} objects 
+     * @param {MultiAddOptions} options 
+     * @returns {Promise.<WriteResult>} Promise that resolves when all inserts have completed successfully.
+     * @async
+     */
+    multiAdd(table, objects, options = {}) {
+        options = { upsert: true, ...options };
+        return this._callMiddleware({ method: "multiAdd", table, args: [table, objects, options] }, () => {
+            try {
+                this._checkTable("multiAdd", table);
+                if(!Array.isArray(objects)) throw new LocalDatabaseError("Error in LocalDatabase.multiAdd: The objects must be an array.", { table });
+                if(options.chunkSize !== undefined && !(options.chunkSize >= 1)) throw new LocalDatabaseError(`Error in LocalDatabase.multiAdd: The chunkSize (${options.chunkSize}) must be 1 or greater.`, { table });
+            } catch (error) {
+                return Promise.reject(error);
+            }
+
+            const chunkSize = options.chunkSize || objects.length;
+            // Check every chunk before writing any of them, so one bad row doesn't leave the earlier chunks written.
+            // beforeAdd hooks may change the rows, so they can only be checked chunk by chunk as the hooks run.
+            const preparing = options.chunkSize === undefined || this._getHooks("beforeAdd", table).length > 0
+                ? Promise.resolve(objects) 
+                : Promise.resolve().then(() => LocalDatabase._prepareRows(this.schema.tableMap[table], objects, "Error in LocalDatabase.multiAdd"));
+            return preparing.then(rows => {
+                const chunks = [];
+                for(let start = 0; start < rows.length; start += chunkSize) {
+                    chunks.push(rows.slice(start, start + chunkSize));
                 }
-                Promise.all(deletePromises).then(resolution => success(resolution));
-            });
-        })
+                return chunks;
+            // Write the chunks one after the other, adding up the results
+            }).then(chunks => chunks.reduce((previous, chunk) => previous.then(total => 
+                this._runTransaction(this._getAddScope(table), tx => tx.multiAdd(table, chunk, options)).then(result => ({
+                    inserted: total.inserted + result.inserted,
+                    updated: total.updated + result.updated
+                }))
+            ), Promise.resolve({ inserted: 0, updated: 0 })));
+        });
     }
 
     /**
-     * Gets an index from an object store.
-     * @param {IDBObjectStore} store 
-     * @param {String} name 
-     * @param {String} errorMessagePrepend
-     * @returns {IDBIndex}
+     * Inserts (or updates on collision) multiple items to a table inside of an existing transaction.
+     * @param {IDBTransaction} txn 
+     * @param {String} table 
+     * @param {Array.<Object>} objects 
+     * @param {AddOptions} options 
+     * @returns {Promise.<WriteResult>} Resolves once every item has been written (not committed).
      */
-    static _getIndex(store, name, errorMessagePrepend) {
-        try {
-            return store.index(name);
-        } catch (error) {
-            throw Error(`${errorMessagePrepend}\nErrored while trying to find column (${name}) in table (${store.name}). Make sure your specified column exists and is available!\n\nIndexedDb Error:\n${error.message}`);
-        }
+    _addMany(txn, table, objects, options) {
+        if(!Array.isArray(objects)) return Promise.reject(new LocalDatabaseError("Error in LocalDatabase.multiAdd: The objects must be an array.", { table }));
+        let rows;
+        return Promise.all(objects.map(object => this._runHooks("beforeAdd", txn, table, object, { options }))).then(objects => {
+            rows = LocalDatabase._prepareRows(this.schema.tableMap[table], objects, "Error in LocalDatabase.multiAdd");
+            return LocalDatabase._checkReferences(txn, this.schema.tableMap[table], rows, "Error in LocalDatabase.multiAdd");
+        }).then(() => LocalDatabase._stampRows(txn, this.schema.tableMap[table], rows, "Error in LocalDatabase.multiAdd")).then(stampedRows => {
+            rows = stampedRows;
+        }).then(() => Promise.all(rows.map(row => this._write(txn, table, row, options, "Error in LocalDatabase.multiAdd"))))
+            .then(writes => Promise.all(writes.map((write, i) => this._runHooks("afterAdd", txn, table, rows[i], write))).then(() => ({
+                inserted: writes.filter(write => !write.isUpdate).length,
+                updated: writes.filter(write => write.isUpdate).length
+            })));
     }
 
     /**
-     * Merges an array with a base array to create a new array from entries that only appear in both arrays.
-     * @param {Array} baseArray 
-     * @param {Array} arrayToMerge 
+     * Fills in the default values of a table's columns and checks rows against the constraints of its columns, before they are written.
+     * @param {TableSchema} tableSchema 
+     * @param {Array.<Object>} rows 
+     * @param {String} errorMessagePrepend 
+     * @returns {Array.<Object>} The rows with their default values. Rows that needed defaults are copies, the rows passed in are never changed.
+     * @throws {ValidationError} Listing every value that is not allowed, in every row.
      */
-    static _intersect(baseArray, arrayToMerge) {
-        return arrayToMerge.filter(entry => baseArray.includes(entry));
+    static _prepareRows(tableSchema, rows, errorMessagePrepend) {
+        const failures = [];
+        const prepared = rows.map((row, index) => {
+            const withDefaults = LocalDatabase._applyDefaults(tableSchema, row);
+            const key = tableSchema.autoIncrement ? undefined : LocalDatabase._getKey(tableSchema, withDefaults);
+            failures.push(...LocalDatabase._checkRow(tableSchema, withDefaults).map(failure => ({ index, key, ...failure })));
+            return withDefaults;
+        });
+        if(failures.length > 0) throw LocalDatabase._validationError(tableSchema, failures, errorMessagePrepend);
+        return prepared;
     }
 
     /**
-     * Asymmetrically gets the difference of the two passed arrays.
-     * @example LocalDatabase._difference(['a', 'b', 'c', 'd'], ['a', 'b']) // Result: ["c", "d"]
-     * @example LocalDatabase._difference(['a', 'b'], ['a', 'b', 'c', 'd']) // Result: []
-     * @param {Array} baseArray 
-     * @param {Array} arrayToMerge 
+     * Fills in the default values of a table's columns that a row has no value for.
+     * @param {TableSchema} tableSchema 
+     * @param {Object} row 
+     * @returns {Object} A copy of the row with the defaults, or the row itself if it needed none.
      */
-    static _difference(baseArray, arrayToCompare) {
-        return baseArray.filter(entry => !arrayToCompare.includes(entry));
+    static _applyDefaults(tableSchema, row) {
+        let copy = null;
+        for(const column of [tableSchema.keyColumn, ...tableSchema.otherColumns]) {
+            if(column.isCompound || !column.options || column.options.default === undefined) continue;
+            if(LocalDatabase._getValue(row, column.keyPath) !== undefined) continue;
+            if(!copy) copy = structuredClone(row);
+            LocalDatabase._setValue(copy, column.keyPath, column.getDefault());
+        }
+        return copy || row;
     }
 
     /**
-     * Returns true or false depending on whether or not the given variable is a primitive.
-     * @param {*} variable
-     * @return {Boolean}
+     * Finds the values in a row that break the constraints of its table's columns.
+     * @param {TableSchema} tableSchema 
+     * @param {Object} row 
+     * @returns {Array.<{column: String, value: *, problems: Array.<String>}>}
      */
-    static _isPrimitive(variable) {
-        return["number", "string", "boolean", "bigint", "symbol"].includes(typeof variable);
+    static _checkRow(tableSchema, row) {
+        const failures = [];
+        for(const column of [tableSchema.keyColumn, ...tableSchema.otherColumns]) {
+            if(column.isCompound) continue;
+            const value = LocalDatabase._getValue(row, column.keyPath);
+            // Generated keys are only added to the row once it is written
+            if(column === tableSchema.keyColumn && tableSchema.autoIncrement && value === undefined) continue;
+            const problems = column.check(value, row);
+            if(problems.length > 0) failures.push({ column: column.name, value, problems });
+        }
+        return failures;
     }
 
     /**
-     * Stringifies all of an array's elements using `JSON.stringify`.
-     * @example [{name:"bob"}] becomes ['{"name":"bob"}']
-     * @param {Array} array
-     * @returns {Array}
+     * Fills in the `createdAt` and `updatedAt` dates of rows about to be written to a table with timestamps.
+     * Rows without a `createdAt` date keep the one of the row they replace, if there is one.
+     * @param {IDBTransaction} txn 
+     * @param {TableSchema} tableSchema 
+     * @param {Array.<Object>} rows 
+     * @param {String} errorMessagePrepend 
+     * @returns {Promise.<Array.<Object>>} Copies of the rows with their dates. The rows passed in are never changed.
      */
-    static _stringifyArrayElements(array) {
-        return array.map(element => JSON.stringify(element))
+    static _stampRows(txn, tableSchema, rows, errorMessagePrepend) {
+        if(!tableSchema.timestamps) return Promise.resolve(rows);
+        const store = txn.objectStore(tableSchema.name);
+        const now = new Date();
+        return Promise.all(rows.map(row => {
+            const key = LocalDatabase._getKey(tableSchema, row);
+            const reading = row.createdAt === undefined && LocalDatabase._isValidKey(key) ? LocalDatabase._request(store.get(key), errorMessagePrepend) : Promise.resolve(undefined);
+            return reading.then(replacedRow => {
+                const createdAt = row.createdAt !== undefined ? row.createdAt : (replacedRow && replacedRow.createdAt) || now;
+                return { ...row, createdAt, updatedAt: now };
+            });
+        }));
     }
 
     /**
-     * De-stringifies all of an array's elements using `JSON.stringify.
-     * @example ['{"name":"bob"}'] becomes [{name:"bob"}]
-     * @param {Array} array 
-     * @returns {Array}
+     * Builds the error listing every value that is not allowed.
+     * @param {TableSchema} tableSchema 
+     * @param {Array.<ValidationFailure>} failures 
+     * @param {String} errorMessagePrepend 
+     * @returns {ValidationError}
      */
-    static _parseArrayElements(array) {
-        return array.map(element => JSON.parse(element));
+    static _validationError(tableSchema, failures, errorMessagePrepend) {
+        const lines = failures.map(failure => {
+            const row = failure.index !== undefined ? `Row ${failure.index}` : `Row with key ${JSON.stringify(failure.key)}`;
+            return `- ${row}, column (${failure.column}) ${JSON.stringify(failure.value)}: ${failure.problems.join(", ")}`;
+        });
+        return new ValidationError(`${errorMessagePrepend}: ${failures.length} value(s) in table (${tableSchema.name}) are not allowed. Nothing was written.\n\n${lines.join("\n")}`, { table: tableSchema.name, failures });
     }
 
     /**
-     * Handle database errors. Probably should rework this to show more information.
-     * @param {*} event 
+     * @typedef AddOptions
+     * @property {Boolean} [upsert=true] https://en.wikipedia.org/wiki/Merge_(SQL)#Synonymous
      */
-    static error(event) {
-        throw Error(`Error with LocalDatabase. Error: ${event.target.errorCode}`);
-    }
 
     /**
-     * The schema for a column using LocalDatabase.
-     * @type {ColumnSchema}
+     * Inserts (or updates on collision) an item to a table.
+     * @param {String} table
+     * @param {Object} object 
+     * @param {AddOptions} options 
+     * @returns {Promise}
+     * @async
      */
-    static Column = ColumnSchema;
+    add(table, object, options = {}) {
+        options = { upsert: true, ...options };
+        return this._callMiddleware({ method: "add", table, args: [table, object, options] }, () => new Promise((success, reject) => {
+            this._checkTable("add", table);
+            const txn = this.connection.transaction(this._getAddScope(table), "readwrite");
+            this._add(txn, table, object, options).catch(error => {
+                reject(error);
+                // Roll back anything written before the failure, such as a row an afterAdd hook vetoed
+                try {
+                    txn.abort();
+                } catch (abortError) {
+                    // The transaction has already finished
+                }
+            });
+            
+            txn.oncomplete = event => {
+                this._emitChanges(txn);
+                success(event);
+            }
+
+            // Also aborted after every request succeeded if the changes can't be stored, such as when storage is full
+            txn.onabort = event => reject(LocalDatabase._toError("Error in LocalDatabase.add", event.target.error, { table }));
+        }));
+    }
+
     /**
-     * The schema for a table using LocalDatabase.
-     * @type {TableSchema}
+     * Inserts (or updates on collision) an item to a table inside of an existing transaction.
+     * @param {IDBTransaction} txn 
+     * @param {String} table 
+     * @param {Object} object 
+     * @param {AddOptions} options 
+     * @returns {Promise} Resolves with the key of the row once it has been written (not committed).
      */
-    static Table = TableSchema;
+    _add(txn, table, object, options) {
+        let row;
+        return this._runHooks("beforeAdd", txn, table, object, { options }).then(object => {
+            [row] = LocalDatabase._prepareRows(this.schema.tableMap[table], [object], "Error in LocalDatabase.add");
+            return LocalDatabase._checkReferences(txn, this.schema.tableMap[table], [row], "Error in LocalDatabase.add");
+        }).then(() => LocalDatabase._stampRows(txn, this.schema.tableMap[table], [row], "Error in LocalDatabase.add")).then(([stampedRow]) => {
+            row = stampedRow;
+            return this._write(txn, table, row, options, "Error in LocalDatabase.add");
+        })
+            .then(write => this._runHooks("afterAdd", txn, table, row, write).then(() => write.key));
+    }
+
     /**
-     * The schema for a database using LocalDatabase.
-     * @type {DatabaseSchema}
+     * Inserts (or updates on collision) an item to a table inside of an existing transaction, and notes the change for change listeners.
+     * @param {IDBTransaction} txn 
+     * @param {String} table 
+     * @param {Object} object 
+     * @param {AddOptions} options 
+     * @param {String} errorMessagePrepend 
+     * @returns {Promise.<{key: *, isUpdate: Boolean}>} Resolves once the row has been written (not committed). `isUpdate` is true if an existing row was replaced.
      */
-    static Database = DatabaseSchema;
+    _write(txn, table, object, options, errorMessagePrepend) {
+        return new Promise((success, reject) => {
+            const store = txn.objectStore(table);
+            const tableSchema = this.schema.tableMap[table];
+            const key = tableSchema.autoIncrement ? undefined : LocalDatabase._getKey(tableSchema, object);
+            // Requests run in order, so counting before writing tells us whether the row already existed
+            const counting = options.upsert && LocalDatabase._isValidKey(key) ? store.count(key) : null;
+            const request = options.upsert ? store.put(object) : store.add(object);
+            request.onsuccess = event => {
+                const isUpdate = counting !== null && counting.result > 0;
+                this._recordChange(txn, table, isUpdate ? "updated" : "inserted", event.target.result, object);
+                success({ key: event.target.result, isUpdate });
+            }
+            request.onerror = event => reject(LocalDatabase._toError(errorMessagePrepend, event.target.error, { table }));
+        })
+    }
+
+    /**
+     * Queries the store to select all entries matching the query.
+     * 
+     * **Selects are structured as:**
+     * 
+     * `{ columnName: desiredValue }` 
+     * 
+     * or 
+     * 
+     * `{ columnName: { $lt: desiredMax, $gt: desiredMin, $ne: notEqualTo } }`
+     * 
+     * or 
+     * 
+     * `{ $or: [query, query], $and: [query, query], $not: query }`
+     * 
+     * @note Columns inside of objects are queried using their dot-path, e.g. `{ "address.city": "Oslo" }`, or using a nested query, e.g. `{ address: { city: "Oslo" } }`.
+     * 
+     * @note Range selectors are $lt (Less Than), $lte (Less Than or Equal To), $gt (Greater Than), $gte (Greater Than or Equal To), and $ne (Not Equal To)
+     * 
+     * @note Set selectors are $in (Equal to one of an array of values), $nin (Not equal to any of an array of values), $exists (Has a searchable value when true, does not when false) and $startsWith (Text starting with a prefix)
+     * 
+     * @note Queries that cover a compound column (exact matches on its leading columns, optionally followed by a range) are served with a single lookup on that column.
+     * 
+     * @note The column that finds the fewest rows is used to look the rows up. The rest of the query is checked on those rows, so values that are not in the table schema can be queried too.
+     * If no column can answer the query every row is scanned, unless `allowFullScan` is false.
+     * 
+     * @note Passing `orderBy`, `direction`, `limit`, `offset` or `after` walks the table with a cursor so only the rows you asked for are loaded. See `LocalDatabase.paginate`.
+     * 
+     * @note The deleted rows of a softDelete table are left out unless `withDeleted` is true.
+     * 
+     * @param {String} table 
+     * @param {*} [query] 
+     * @param {SelectOptions} [options] 
+     * @returns {Promise.<Array.<Object>>}
+     */
+    select(table, query = {}, options = {}) {
+        return this._callMiddleware({ method: "select", table, args: [table, query, options] }, () => new Promise((success, reject) => {
+            this._checkTable("select", table);
+            const txn = this.connection.transaction(this._getSelectScope(table, options.populate), "readonly");
+            this._select(txn, table, query, options).then(success).catch(reject);
+        }).catch(error => { throw LocalDatabase._toError("Error in LocalDatabase.select", error, { table, query }); }));
+    }
+
+    /**
+     * Selects all entries matching the query inside of an existing transaction.
+     * @param {IDBTransaction} txn 
+     * @param {String} table 
+     * @param {*} query 
+     * @param {SelectOptions} options 
+     * @returns {Promise.<Array.<Object>>}
+     */
+    _select(txn, table, query, options) {
+        const store = txn.objectStore(table);
+        const tableSchema = this.schema.tableMap[table];
+        const { allowFullScan = this.allowFullScan, populate, withDeleted, ...pageOptions } = options;
+        return this._runHooks("beforeSelect", txn, table, query, { options }).then(query => {
+            const visibleQuery = LocalDatabase._hideDeleted(tableSchema, query, withDeleted);
+            const selecting = Object.values(pageOptions).some(option => option !== undefined)
+                ? this._selectWithCursor(store, tableSchema, visibleQuery, options).then(page => page.rows)
+                : LocalDatabase._findRows(store, tableSchema, visibleQuery, allowFullScan);
+            return (populate === undefined ? selecting : selecting.then(rows => this._populate(txn, tableSchema, rows, populate, withDeleted)))
+                .then(rows => this._runHooks("afterSelect", txn, table, rows, { query, options }));
+        });
+    }
+
+    /**
+     * Works out the tables a select uses: the table itself, the tables it populates from, and the tables its hooks use.
+     * @param {String} table 
+     * @param {String|PopulateOption|Array.<String|PopulateOption>} [populate] 
+     * @returns {Array.<String>}
+     */
+    _getSelectScope(table, populate) {
+        const hookTables = this._getHookTables(table, ["beforeSelect", "afterSelect"]);
+        if(populate === undefined) return [...new Set([table, ...hookTables])];
+        const related = [populate].flat().map(relation => {
+            if(typeof relation !== "string") return relation.table;
+            const column = this.schema.tableMap[table].otherColumns.find(column => column.name === relation);
+            return column && column.options && column.options.references;
+        });
+        return [...new Set([table, ...hookTables, ...related.filter(relatedTable => this.schema.tableNames.includes(relatedTable))])];
+    }
+
+    /**
+     * Fills in the related rows of selected rows.
+     * @param {IDBTransaction} txn 
+     * @param {TableSchema} tableSchema 
+     * @param {Array.<Object>} rows The selected rows. They are changed in place.
+     * @param {String|PopulateOption|Array.<String|PopulateOption>} populate 
+     * @param {Boolean} [withDeleted] If true, the deleted rows of softDelete tables referencing the rows are added too.
+     * @returns {Promise.<Array.<Object>>} The rows.
+     */
+    _populate(txn, tableSchema, rows, populate, withDeleted = false) {
+        return [populate].flat().reduce((previous, relation) => previous.then(() => {
+            // Many-to-one: replace the keys in a column with the rows they reference
+            if(typeof relation === "string") {
+                const column = tableSchema.otherColumns.find(column => column.name === relation);
+                if(!column || !column.options || !column.options.references)
+                    throw new UnknownColumnError(`Error in LocalDatabase.select: Cannot populate column (${relation}) in table (${tableSchema.name}) because it does not reference another table. Give the column a \`references\` option.`, { table: tableSchema.name, column: relation });
+                const store = LocalDatabase._getRelatedStore(txn, tableSchema.name, column.options.references, "Error in LocalDatabase.select");
+                const isMany = value => column.options.multiEntry && Array.isArray(value);
+                const keys = LocalDatabase._unique(rows.flatMap(row => {
+                    const value = LocalDatabase._getValue(row, column.keyPath);
+                    return isMany(value) ? value : [value];
+                }).filter(key => LocalDatabase._isValidKey(key)));
+                return LocalDatabase._getRows(store, keys).then(relatedRows => {
+                    const relatedById = new Map(keys.map((key, i) => [LocalDatabase._keyId(key), relatedRows[i]]));
+                    const find = key => (LocalDatabase._isValidKey(key) && relatedById.get(LocalDatabase._keyId(key))) || null;
+                    for(const row of rows) {
+                        const value = LocalDatabase._getValue(row, column.keyPath);
+                        if(value === undefined || value === null) continue;
+                        LocalDatabase._setValue(row, column.keyPath, isMany(value) ? value.map(find).filter(relatedRow => relatedRow !== null) : find(value));
+                    }
+                });
+            }
+
+            // One-to-many: add the rows of another table that reference each row
+            const { table: referencingTableName, column: columnName, as = referencingTableName } = relation;
+            const referencingTable = this.schema.tableMap[referencingTableName];
+            const column = referencingTable && referencingTable.otherColumns.find(column => column.name === columnName);
+            if(!column || !column.options || column.options.references !== tableSchema.name)
+                throw new UnknownColumnError(`Error in LocalDatabase.select: Cannot populate (${as}) because column (${columnName}) in table (${referencingTableName}) does not reference table (${tableSchema.name}).`, { table: referencingTableName, column: columnName });
+            const store = LocalDatabase._getRelatedStore(txn, tableSchema.name, referencingTableName, "Error in LocalDatabase.select");
+            const index = LocalDatabase._getIndex(store, column.name, "Error in LocalDatabase.select");
+            const visibleQuery = LocalDatabase._hideDeleted(referencingTable, {}, withDeleted);
+            return Promise.all(rows.map(row => LocalDatabase._request(index.getAll(LocalDatabase._getKey(tableSchema, row)), "Error in LocalDatabase.select").then(referencingRows => {
+                row[as] = referencingRows.filter(referencingRow => LocalDatabase._matches(referencingTable, referencingRow, visibleQuery));
+            })));
+        }), Promise.resolve()).then(() => rows);
+    }
+
+    /**
+     * @typedef SelectOptions
+     * @property {String} [orderBy] The name of the column to sort by. Defaults to the key column. Rows without a searchable value in this column are left out.
+     * @property {String} [direction] "next" to sort ascending or "prev" to sort descending. Defaults to "next".
+     * @property {Number} [limit] The most rows to return.
+     * @property {Number} [offset] The number of matching rows to skip.
+     * @property {String} [after] A continuation token from a previous page to carry on from.
+     * @property {Boolean} [allowFullScan] If false, the query is rejected instead of scanning every row when no column can answer it. Defaults to `LocalDatabase.allowFullScan`.
+     * @property {String|PopulateOption|Array.<String|PopulateOption>} [populate] The related rows to fill in, read in the same transaction. Pass the name of a column that references another table to replace its keys with the rows they reference.
+     * @property {Boolean} [withDeleted] If true, the deleted rows of a softDelete table are selected too.
+     */
+
+    /**
+     * @typedef PopulateOption
+     * @property {String} table The name of a table referencing the table being selected from.
+     * @property {String} column The name of the column in that table holding the references.
+     * @property {String} [as] The name to give the array of referencing rows on each row. Defaults to the name of the table.
+     */
+
+    /**
+     * @typedef Page
+     * @property {Array.<Object>} rows The rows of this page.
+     * @property {String|null} next A continuation token to pass as `after` to get the next page. Null if there are no more rows.
+     */
+
+    /**
+     * Selects one page of the entries matching the query using a cursor, so only the rows on the page are loaded.
+     * @example
+     * const firstPage = await LocalDatabase.paginate("People", { age: { $gte: 18 } }, { orderBy: "age", limit: 20 });
+     * const secondPage = await LocalDatabase.paginate("People", { age: { $gte: 18 } }, { orderBy: "age", limit: 20, after: firstPage.next });
+     * @param {String} table 
+     * @param {*} [query] The same as a `select` query.
+     * @param {SelectOptions} [options] 
+     * @returns {Promise.<Page>}
+     * @async
+     */
+    paginate(table, query = {}, options = {}) {
+        return this._callMiddleware({ method: "paginate", table, args: [table, query, options] }, () => new Promise((success, reject) => {
+            this._checkTable("paginate", table);
+            const txn = this.connection.transaction(this._getSelectScope(table), "readonly");
+            this._runHooks("beforeSelect", txn, table, query, { options })
+                .then(query => this._selectWithCursor(txn.objectStore(table), this.schema.tableMap[table], LocalDatabase._hideDeleted(this.schema.tableMap[table], query, options.withDeleted), options)
+                    .then(page => this._runHooks("afterSelect", txn, table, page.rows, { query, options }).then(rows => ({ ...page, rows }))))
+                .then(success)
+                .catch(reject);
+        }).catch(error => { throw LocalDatabase._toError("Error in LocalDatabase.paginate", error, { table, query }); }));
+    }
+
+    /**
+     * @typedef IterateOptions
+     * @property {String} [orderBy] The name of the column to walk in order. Defaults to the key column. Rows without a searchable value in this column are left out.
+     * @property {String} [direction] "next" to walk ascending or "prev" to walk descending. Defaults to "next".
+     * @property {Number} [batchSize] The number of rows to read at a time. Defaults to 100.
+     * @property {Boolean} [withDeleted] If true, the deleted rows of a softDelete table are walked too.
+     */
+
+    /**
+     * Walks every entry matching the query without loading them all into memory at once.
+     * 
+     * Rows are read with a cursor in batches, each batch in its own short transaction, so it is safe to await other work inside of the loop.
+     * Stop early with `break` and no more rows are read.
+     * @example
+     * for await (const person of LocalDatabase.iterate("People", { age: { $gte: 18 } })) {
+     *     if(person.firstName === "John") break;
+     * }
+     * @param {String} table 
+     * @param {*} [query] The same as a `select` query.
+     * @param {IterateOptions} [options] 
+     * @returns {AsyncGenerator.<Object>}
+     */
+    async *iterate(table, query = {}, options = {}) {
+        const { orderBy, direction, batchSize = 100, withDeleted } = options;
+        if(!(batchSize >= 1)) throw new LocalDatabaseError(`Error in LocalDatabase.iterate: The batchSize (${batchSize}) must be 1 or greater.`);
+        let page = { rows: [], next: undefined };
+        do {
+            page = await this.paginate(table, query, { orderBy, direction, limit: batchSize, after: page.next, withDeleted });
+            yield* page.rows;
+        } while(page.next);
+    }
+
+    /**
+     * Walks a column of a store with a cursor, collecting the rows matching a query.
+     * 
+     * The cursor only covers the range the query asks for on the sorted column. Other parts of the query are checked on each row as the cursor passes it.
+     * @param {IDBObjectStore} store 
+     * @param {TableSchema} tableSchema 
+     * @param {Object} query 
+     * @param {SelectOptions} options 
+     * @returns {Promise.<Page>}
+     */
+    _selectWithCursor(store, tableSchema, query, options) {
+        const { orderBy = tableSchema.keyColumn.name, direction = "next", limit = Infinity, offset = 0, after, allowFullScan = this.allowFullScan } = options;
+        if(!["next", "prev"].includes(direction)) throw new LocalDatabaseError(`Error in LocalDatabase.paginate: Unknown direction (${direction}). Use "next" to sort ascending or "prev" to sort descending.`);
+        const isKeyColumn = orderBy === tableSchema.keyColumn.name;
+        const column = isKeyColumn ? tableSchema.keyColumn : tableSchema.otherColumns.find(column => column.name === orderBy);
+        if(!column) throw new UnknownColumnError(`Error in LocalDatabase.paginate: Cannot order by column (${orderBy}) in table (${tableSchema.name}) because it is not in the table schema.`, { table: tableSchema.name, column: orderBy });
+        if(column.options && column.options.multiEntry) throw new UnknownColumnError(`Error in LocalDatabase.paginate: Cannot order by column (${orderBy}) in table (${tableSchema.name}) because it is a multiEntry column.`, { table: tableSchema.name, column: orderBy });
+
+        const source = isKeyColumn ? store : LocalDatabase._getIndex(store, orderBy, "Error in LocalDatabase.paginate");
+        const { range, isFullyServed } = LocalDatabase._getCursorRange(tableSchema, column, query);
+        if(range === null && !isFullyServed && !allowFullScan)
+            throw new LocalDatabaseError(`Error in LocalDatabase.paginate: The query ${JSON.stringify(query)} does not narrow down the column (${orderBy}) of table (${tableSchema.name}), so every row would have to be scanned. Query a range of the orderBy column, or pass \`allowFullScan: true\`.`);
+        const position = after === undefined ? null : LocalDatabase._decodeToken(after, orderBy, direction);
+        const sign = direction === "next" ? 1 : -1;
+
+        return new Promise((complete, reject) => {
+            const rows = [];
+            let rowsToSkip = offset;
+            let lastPosition = null;
+            if(limit <= 0) {
+                complete({ rows, next: null });
+                return;
+            }
+
+            const request = source.openCursor(range, direction);
+            request.onsuccess = event => {
+                const cursor = event.target.result;
+                if(!cursor) {
+                    complete({ rows, next: null });
+                    return;
+                }
+                try {
+                    // Carry on from where the previous page finished
+                    if(position) {
+                        const comparison = sign * (MemoryAdapter.cmp(cursor.key, position.key) || MemoryAdapter.cmp(cursor.primaryKey, position.primaryKey));
+                        if(comparison < 0) {
+                            if(isKeyColumn) cursor.continue(position.key);
+                            else cursor.continuePrimaryKey(position.key, position.primaryKey);
+                            return;
+                        }
+                        if(comparison === 0) {
+                            cursor.continue();
+                            return;
+                        }
+                    }
+                    // If the cursor's range is the whole query, every row matches, so we can jump straight over the offset
+                    if(isFullyServed && rowsToSkip > 0) {
+                        cursor.advance(rowsToSkip);
+                        rowsToSkip = 0;
+                        return;
+                    }
+
+                    const row = cursor.value;
+                    if(!LocalDatabase._matches(tableSchema, row, query)) {
+                        cursor.continue();
+                        return;
+                    }
+                    if(rowsToSkip > 0) {
+                        rowsToSkip--;
+                        cursor.continue();
+                        return;
+                    }
+                    // We have found a row past the end of this page, so there is a next page
+                    if(rows.length === limit) {
+                        complete({ rows, next: LocalDatabase._encodeToken(orderBy, direction, lastPosition) });
+                        return;
+                    }
+                    rows.push(row);
+                    lastPosition = { key: cursor.key, primaryKey: cursor.primaryKey };
+                    cursor.continue();
+                } catch (error) {
+                    reject(error);
+                }
+            }
+            request.onerror = event => reject(LocalDatabase._toError("Error in LocalDatabase.paginate", event.target.error, { table: store.name, query }));
+        });
+    }
+
+    /**
+     * Works out the smallest key range a cursor over a column has to cover to find every row matching a query.
+     * @param {TableSchema} tableSchema 
+     * @param {ColumnSchema} column The column the cursor walks.
+     * @param {Object} query 
+     * @returns {{range: IDBKeyRange|null, isFullyServed: Boolean}} `isFullyServed` is true if every row in the range matches the query.
+     */
+    static _getCursorRange(tableSchema, column, query) {
+        const { groups, columns } = LocalDatabase._splitQuery(tableSchema, query);
+        const isOnlyColumn = Object.keys(groups).length === 0 && Object.keys(columns).length === 1;
+        const columnEntry = column.isCompound ? undefined : columns[column.keyPath];
+        if(columnEntry === undefined)
+            return { range: null, isFullyServed: Object.keys(groups).length === 0 && Object.keys(columns).length === 0 };
+
+        // Exact match
+        if(!LocalDatabase._isPlainObject(columnEntry)) {
+            if(!LocalDatabase._isValidKey(columnEntry)) return { range: null, isFullyServed: false };
+            return { range: LocalDatabase._KeyRange.only(columnEntry), isFullyServed: isOnlyColumn };
+        }
+
+        const selectors = Object.keys(columnEntry);
+        const bounds = LocalDatabase._getBounds(columnEntry);
+        if(bounds)
+            return { range: LocalDatabase._toKeyRange(bounds), isFullyServed: isOnlyColumn && selectors.every(selector => ["$lt", "$lte", "$gt", "$gte"].includes(selector)) };
+        if(columnEntry.$startsWith !== undefined)
+            return { range: LocalDatabase._KeyRange.bound(columnEntry.$startsWith, `${columnEntry.$startsWith}\uffff`), isFullyServed: isOnlyColumn && selectors.length === 1 };
+        return { range: null, isFullyServed: false };
+    }
+
+    /**
+     * Creates an opaque continuation token pointing at a cursor position.
+     * @param {String} orderBy 
+     * @param {String} direction 
+     * @param {{key: *, primaryKey: *}} position 
+     * @returns {String}
+     */
+    static _encodeToken(orderBy, direction, position) {
+        const json = JSON.stringify({ orderBy, direction, key: LocalDatabase._encodeKey(position.key), primaryKey: LocalDatabase._encodeKey(position.primaryKey) });
+        return btoa(String.fromCharCode(...new TextEncoder().encode(json)));
+    }
+
+    /**
+     * Reads a continuation token created by `LocalDatabase._encodeToken`.
+     * @param {String} token 
+     * @param {String} orderBy The column the token must have been created for.
+     * @param {String} direction The direction the token must have been created for.
+     * @returns {{key: *, primaryKey: *}}
+     */
+    static _decodeToken(token, orderBy, direction) {
+        let decoded;
+        try {
+            decoded = JSON.parse(new TextDecoder().decode(Uint8Array.from(atob(token), character => character.charCodeAt(0))));
+        } catch (error) {
+            throw new LocalDatabaseError("Error in LocalDatabase.paginate: The continuation token passed as `after` is not valid.");
+        }
+        if(decoded.orderBy !== orderBy || decoded.direction !== direction)
+            throw new LocalDatabaseError(`Error in LocalDatabase.paginate: The continuation token passed as \`after\` was created for orderBy (${decoded.orderBy}) and direction (${decoded.direction}), not orderBy (${orderBy}) and direction (${direction}).`);
+        return { key: LocalDatabase._decodeKey(decoded.key), primaryKey: LocalDatabase._decodeKey(decoded.primaryKey) };
+    }
+
+    /**
+     * Turns a key into something that survives `JSON.stringify`.
+     * @param {*} key 
+     * @returns {*}
+     */
+    static _encodeKey(key) {
+        if(key instanceof Date) return { $date: key.getTime() };
+        if(key instanceof ArrayBuffer) return { $bytes: Array.from(new Uint8Array(key)) };
+        if(ArrayBuffer.isView(key)) return { $bytes: Array.from(new Uint8Array(key.buffer, key.byteOffset, key.byteLength)) };
+        if(Array.isArray(key)) return key.map(element => LocalDatabase._encodeKey(element));
+        return key;
+    }
+
+    /**
+     * Turns a key encoded by `LocalDatabase._encodeKey` back into a key.
+     * @param {*} encodedKey 
+     * @returns {*}
+     */
+    static _decodeKey(encodedKey) {
+        if(Array.isArray(encodedKey)) return encodedKey.map(element => LocalDatabase._decodeKey(element));
+        if(encodedKey !== null && typeof encodedKey === "object" && encodedKey.$date !== undefined) return new Date(encodedKey.$date);
+        if(encodedKey !== null && typeof encodedKey === "object" && encodedKey.$bytes !== undefined) return Uint8Array.from(encodedKey.$bytes).buffer;
+        return encodedKey;
+    }
+
+    /**
+     * Counts the entries matching the query without loading them, if a single column (or the key column) can answer the query.
+     * @param {String} table 
+     * @param {*} [query] The same as a `select` query.
+     * @param {{withDeleted: Boolean}} [options] `withDeleted` counts the deleted rows of a softDelete table too.
+     * @returns {Promise.<Number>}
+     * @async
+     */
+    count(table, query = {}, options = {}) {
+        return this._callMiddleware({ method: "count", table, args: [table, query, options] }, () => new Promise((success, reject) => {
+            this._checkTable("count", table);
+            const txn = this.connection.transaction(table, "readonly");
+            this._count(txn, table, LocalDatabase._hideDeleted(this.schema.tableMap[table], query, options.withDeleted)).then(success).catch(reject);
+        }).catch(error => { throw LocalDatabase._toError("Error in LocalDatabase.count", error, { table, query }); }));
+    }
+
+    /**
+     * Counts the entries matching the query inside of an existing transaction.
+     * @param {IDBTransaction} txn 
+     * @param {String} table 
+     * @param {*} query 
+     * @returns {Promise.<Number>}
+     */
+    _count(txn, table, query) {
+        const store = txn.objectStore(table);
+        const tableSchema = this.schema.tableMap[table];
+        // A query on the key column alone (or an empty query) is counted as a key range
+        const { range: keyRange, isFullyServed: isKeyRange } = LocalDatabase._getCursorRange(tableSchema, tableSchema.keyColumn, query);
+        if(isKeyRange) return LocalDatabase._request(keyRange ? store.count(keyRange) : store.count(), "Error in LocalDatabase.count");
+
+        // A query on another single column is counted from that column's range. multiEntry columns hold a row once per item, so they can't be counted this way.
+        const column = tableSchema.otherColumns.find(column => !(column.options && column.options.multiEntry) && LocalDatabase._getCursorRange(tableSchema, column, query).isFullyServed);
+        if(column) {
+            const { range } = LocalDatabase._getCursorRange(tableSchema, column, query);
+            return LocalDatabase._request(LocalDatabase._getIndex(store, column.name, "Error in LocalDatabase.count").count(range), "Error in LocalDatabase.count");
+        }
+
+        return LocalDatabase._findRows(store, tableSchema, query, this.allowFullScan).then(rows => rows.length);
+    }
+
+    /**
+     * @typedef AggregateOptions
+     * @property {String} [groupBy] The column (or dot-path) to group the entries by. If set, `aggregate` resolves with one result per group.
+     * @property {String|Array.<String>} [sum] The columns to add up. Only numbers are added.
+     * @property {String|Array.<String>} [avg] The columns to average. Only numbers are averaged.
+     * @property {String|Array.<String>} [min] The columns to find the lowest value of. Values are compared the way columns sort them.
+     * @property {String|Array.<String>} [max] The columns to find the highest value of. Values are compared the way columns sort them.
+     * @property {Boolean} [withDeleted] If true, the deleted rows of a softDelete table are included too.
+     */
+
+    /**
+     * @typedef AggregateResult
+     * @property {*} [group] The value of the `groupBy` column shared by this group. Only set when grouping.
+     * @property {Number} count The number of entries.
+     * @property {Object.<Number>} [sum] The totals, by column.
+     * @property {Object.<Number|null>} [avg] The averages, by column. Null if a column had no numbers.
+     * @property {Object} [min] The lowest values, by column. Null if a column had no values.
+     * @property {Object} [max] The highest values, by column. Null if a column had no values.
+     */
+
+    /**
+     * Counts, adds up, averages and finds the lowest and highest values of the entries matching the query, optionally in groups.
+     * 
+     * Without `groupBy`, the lowest and highest values of a column are read from the start and end of the column, rather than loading every entry, when that column alone can answer the query.
+     * @example LocalDatabase.aggregate("PersonsTable", { age: { $gte: 18 } }, { groupBy: "lastName", avg: "age", max: ["age", "height"] })
+     * @param {String} table 
+     * @param {*} [query] The same as a `select` query.
+     * @param {AggregateOptions} [options] 
+     * @returns {Promise.<AggregateResult|Array.<AggregateResult>>} An array of results, one per group, if `groupBy` is set.
+     * @async
+     */
+    aggregate(table, query = {}, options = {}) {
+        return this._callMiddleware({ method: "aggregate", table, args: [table, query, options] }, () => new Promise((success, reject) => {
+            this._checkTable("aggregate", table);
+            const unknownOptions = Object.keys(options).filter(option => !["groupBy", "sum", "avg", "min", "max", "withDeleted"].includes(option));
+            if(unknownOptions.length > 0) throw new LocalDatabaseError(`Error in LocalDatabase.aggregate: Unknown options (${unknownOptions.join(", ")}). Use groupBy, sum, avg, min, max or withDeleted.`);
+
+            const txn = this.connection.transaction(table, "readonly");
+            this._aggregate(txn, table, LocalDatabase._hideDeleted(this.schema.tableMap[table], query, options.withDeleted), options).then(success).catch(reject);
+        }).catch(error => { throw LocalDatabase._toError("Error in LocalDatabase.aggregate", error, { table, query }); }));
+    }
+
+    /**
+     * Aggregates the entries matching the query inside of an existing transaction.
+     * @param {IDBTransaction} txn 
+     * @param {String} table 
+     * @param {*} query 
+     * @param {AggregateOptions} options 
+     * @returns {Promise.<AggregateResult|Array.<AggregateResult>>}
+     */
+    _aggregate(txn, table, query, options) {
+        const store = txn.objectStore(table);
+        const tableSchema = this.schema.tableMap[table];
+        const toColumnNames = columnNames => columnNames === undefined ? [] : [columnNames].flat();
+        const sum = toColumnNames(options.sum);
+        const avg = toColumnNames(options.avg);
+        const min = toColumnNames(options.min);
+        const max = toColumnNames(options.max);
+        let loading = null;
+        const loadRows = () => loading || (loading = LocalDatabase._findRows(store, tableSchema, query, this.allowFullScan));
+
+        if(options.groupBy !== undefined) {
+            return loadRows().then(rows => {
+                const groups = new Map();
+                for(const row of rows) {
+                    const value = LocalDatabase._getValue(row, options.groupBy);
+                    const group = value === undefined ? null : value;
+                    const id = LocalDatabase._keyId(group);
+                    if(!groups.has(id)) groups.set(id, { group, rows: [] });
+                    groups.get(id).rows.push(row);
+                }
+                return [...groups.values()]
+                    .sort((groupA, groupB) => LocalDatabase._compareValues(groupA.group, groupB.group))
+                    .map(({ group, rows }) => ({ group, ...LocalDatabase._aggregateRows(rows, { sum, avg, min, max }) }));
+            });
+        }
+
+        /**
+         * Reads the first key of a column in a direction, if the column alone can answer the query.
+         * @param {String} columnName 
+         * @param {String} direction "next" for the lowest value or "prev" for the highest.
+         * @returns {Promise.<*>} Null if the column has no values. Undefined if the column can't answer the query.
+         */
+        const readEnd = (columnName, direction) => {
+            const isKeyColumn = tableSchema.keyColumn.name === columnName;
+            const column = isKeyColumn ? tableSchema.keyColumn : tableSchema.otherColumns.find(column => column.name === columnName && !(column.options && column.options.multiEntry));
+            if(!column || !LocalDatabase._getCursorRange(tableSchema, column, query).isFullyServed) return Promise.resolve(undefined);
+            const { range } = LocalDatabase._getCursorRange(tableSchema, column, query);
+            const source = isKeyColumn ? store : LocalDatabase._getIndex(store, column.name, "Error in LocalDatabase.aggregate");
+            return LocalDatabase._request(source.openKeyCursor(range, direction), "Error in LocalDatabase.aggregate")
+                .then(cursor => cursor ? cursor.key : null);
+        }
+        const reading = Promise.all([
+            this._count(txn, table, query),
+            Promise.all(min.map(columnName => readEnd(columnName, "next"))),
+            Promise.all(max.map(columnName => readEnd(columnName, "prev")))
+        ]);
+        return reading.then(([count, lowest, highest]) => {
+            const needsRows = sum.length > 0 || avg.length > 0 || lowest.includes(undefined) || highest.includes(undefined);
+            return (needsRows ? loadRows() : Promise.resolve([])).then(rows => {
+                const result = LocalDatabase._aggregateRows(rows, { sum, avg, min, max });
+                result.count = count;
+                min.forEach((columnName, i) => { if(lowest[i] !== undefined) result.min[columnName] = lowest[i]; });
+                max.forEach((columnName, i) => { if(highest[i] !== undefined) result.max[columnName] = highest[i]; });
+                return result;
+            });
+        });
+    }
+
+    /**
+     * Aggregates rows in memory.
+     * @param {Array.<Object>} rows 
+     * @param {{sum: Array.<String>, avg: Array.<String>, min: Array.<String>, max: Array.<String>}} columnNames 
+     * @returns {AggregateResult}
+     */
+    static _aggregateRows(rows, columnNames) {
+        const result = { count: rows.length };
+        /**
+         * Gets the numbers in a column.
+         * @param {String} columnName 
+         * @returns {Array.<Number>}
+         */
+        const numbers = columnName => rows.map(row => LocalDatabase._getValue(row, columnName)).filter(value => typeof value === "number" && !Number.isNaN(value));
+        /**
+         * Finds the lowest or highest value in a column.
+         * @param {String} columnName 
+         * @param {Number} sign 1 for the highest value or -1 for the lowest.
+         * @returns {*} Null if the column has no values.
+         */
+        const end = (columnName, sign) => rows
+            .map(row => LocalDatabase._getValue(row, columnName))
+            .filter(value => LocalDatabase._isValidKey(value))
+            .reduce((best, value) => best === null || sign * MemoryAdapter.cmp(value, best) > 0 ? value : best, null);
+
+        if(columnNames.sum.length > 0)
+            result.sum = Object.fromEntries(columnNames.sum.map(columnName => [columnName, numbers(columnName).reduce((total, value) => total + value, 0)]));
+        if(columnNames.avg.length > 0)
+            result.avg = Object.fromEntries(columnNames.avg.map(columnName => {
+                const values = numbers(columnName);
+                return [columnName, values.length === 0 ? null : values.reduce((total, value) => total + value, 0) / values.length];
+            }));
+        if(columnNames.min.length > 0)
+            result.min = Object.fromEntries(columnNames.min.map(columnName => [columnName, end(columnName, -1)]));
+        if(columnNames.max.length > 0)
+            result.max = Object.fromEntries(columnNames.max.map(columnName => [columnName, end(columnName, 1)]));
+        return result;
+    }
+
+    /**
+     * Compares two values the way columns sort them, for sorting. Values that can't be stored in a column sort last.
+     * @param {*} valueA 
+     * @param {*} valueB 
+     * @returns {Number} Negative if valueA comes first, positive if valueB comes first and 0 if they are the same.
+     */
+    static _compareValues(valueA, valueB) {
+        const isKeyA = LocalDatabase._isValidKey(valueA);
+        const isKeyB = LocalDatabase._isValidKey(valueB);
+        if(isKeyA && isKeyB) return MemoryAdapter.cmp(valueA, valueB);
+        return isKeyA === isKeyB ? 0 : (isKeyA ? -1 : 1);
+    }
+
+    /**
+     * @typedef DistinctOptions
+     * @property {Boolean} [counts] If true, resolves with the number of entries having each value as well.
+     * @property {Boolean} [withDeleted] If true, the deleted rows of a softDelete table are included too.
+     */
+
+    /**
+     * Gets the unique values of a column, in the order the column sorts them, without loading any entries.
+     * 
+     * The query can only narrow down the column itself (such as `{ age: { $gte: 18 } }` when getting the values of `age`) to be answered from the column alone. Any other query loads the matching entries first.
+     * @example LocalDatabase.distinct("PersonsTable", "lastName") // Result: ["Doe", "Gray", "Smith"]
+     * @example LocalDatabase.distinct("PersonsTable", "age", { age: { $gte: 18 } }, { counts: true }) // Result: [{ value: 18, count: 2 }, { value: 20, count: 1 }]
+     * @param {String} table 
+     * @param {String} column The name of the column.
+     * @param {*} [query] The same as a `select` query.
+     * @param {DistinctOptions} [options] 
+     * @returns {Promise.<Array.<*>|Array.<{value: *, count: Number}>>}
+     * @async
+     */
+    distinct(table, column, query = {}, options = {}) {
+        return this._callMiddleware({ method: "distinct", table, args: [table, column, query, options] }, () => new Promise((success, reject) => {
+            this._checkTable("distinct", table);
+            const txn = this.connection.transaction(table, "readonly");
+            this._distinct(txn, table, column, LocalDatabase._hideDeleted(this.schema.tableMap[table], query, options.withDeleted), options).then(success).catch(reject);
+        }).catch(error => { throw LocalDatabase._toError("Error in LocalDatabase.distinct", error, { table, query }); }));
+    }
+
+    /**
+     * Gets the unique values of a column inside of an existing transaction.
+     * @param {IDBTransaction} txn 
+     * @param {String} table 
+     * @param {String} columnName 
+     * @param {*} query 
+     * @param {DistinctOptions} options 
+     * @returns {Promise.<Array.<*>|Array.<{value: *, count: Number}>>}
+     */
+    _distinct(txn, table, columnName, query, options) {
+        const store = txn.objectStore(table);
+        const tableSchema = this.schema.tableMap[table];
+        const isKeyColumn = tableSchema.keyColumn.name === columnName;
+        const column = isKeyColumn ? tableSchema.keyColumn : tableSchema.otherColumns.find(column => column.name === columnName);
+        if(!column) throw new UnknownColumnError(`Error in LocalDatabase.distinct: The specified column (${columnName}) was not found in table (${table}). Only columns in the schema have values that can be walked.`, { table, column: columnName });
+
+        const { range, isFullyServed } = LocalDatabase._getCursorRange(tableSchema, column, query);
+        if(!isFullyServed) {
+            // The query needs more than this column, so find the values in the matching rows instead
+            return LocalDatabase._findRows(store, tableSchema, query, this.allowFullScan).then(rows => {
+                const values = new Map();
+                for(const row of rows) {
+                    const keys = column.isCompound
+                        ? [column.keyPath.map(path => LocalDatabase._getValue(row, path))].filter(key => LocalDatabase._isValidKey(key))
+                        : LocalDatabase._getIndexKeys(tableSchema, row, column.keyPath);
+                    // multiEntry columns can hold the same value more than once in a row
+                    for(const key of LocalDatabase._unique(keys)) {
+                        const id = LocalDatabase._keyId(key);
+                        if(!values.has(id)) values.set(id, { value: key, count: 0 });
+                        values.get(id).count++;
+                    }
+                }
+                const sorted = [...values.values()].sort((a, b) => MemoryAdapter.cmp(a.value, b.value));
+                return options.counts ? sorted : sorted.map(({ value }) => value);
+            });
+        }
+
+        const source = isKeyColumn ? store : LocalDatabase._getIndex(store, column.name, "Error in LocalDatabase.distinct");
+        return new Promise((success, reject) => {
+            const values = [];
+            const request = source.openKeyCursor(range, "nextunique");
+            request.onsuccess = event => {
+                const cursor = event.target.result;
+                if(!cursor) {
+                    success(values);
+                    return;
+                }
+                values.push(cursor.key);
+                cursor.continue();
+            }
+            request.onerror = event => reject(LocalDatabase._toError("Error in LocalDatabase.distinct", event.target.error, { table, query }));
+        }).then(values => {
+            if(!options.counts) return values;
+            return Promise.all(values.map(value => LocalDatabase._request(source.count(value), "Error in LocalDatabase.distinct")))
+                .then(counts => values.map((value, i) => ({ value, count: counts[i] })));
+        });
+    }
+
+    /**
+     * The selectors that can be used on a column.
+     * @type {Array.<String>}
+     */
+    static _columnSelectors = ["$lt", "$lte", "$gt", "$gte", "$ne", "$in", "$nin", "$exists", "$startsWith"];
+
+    /**
+     * The selectors that can be used to group queries.
+     * @type {Array.<String>}
+     */
+    static _groupSelectors = ["$or", "$and", "$not"];
+
+    /**
+     * @typedef Lookup
+     * @property {Array.<{source: IDBObjectStore|IDBIndex, range: *}>} ranges The keys or key ranges to read from the key column (the store) or a column (an index). Rows in any of them are found.
+     */
+
+    /**
+     * Finds all of the rows in a store matching a query.
+     * @param {IDBObjectStore} store 
+     * @param {TableSchema} tableSchema 
+     * @param {Object} query 
+     * @param {Boolean} allowFullScan 
+     * @returns {Promise.<Array.<Object>>}
+     */
+    static _findRows(store, tableSchema, query, allowFullScan) {
+        return LocalDatabase._chooseLookup(store, tableSchema, query, allowFullScan, "Error in LocalDatabase.select").then(lookup => {
+            // A single range can be read straight away, otherwise gather the keys of every range first so each row is only read once.
+            if(lookup.ranges.length === 1)
+                return LocalDatabase._request(lookup.ranges[0].source.getAll(lookup.ranges[0].range), "Error in LocalDatabase.select");
+            return Promise.all(lookup.ranges.map(({ source, range }) => LocalDatabase._request(source.getAllKeys(range), "Error in LocalDatabase.select")))
+                .then(arrayOfKeys => LocalDatabase._getRows(store, LocalDatabase._unique(arrayOfKeys.flat())));
+        }).then(rows => {
+            // multiEntry columns can find the same row more than once
+            const seenIds = new Set();
+            return rows.filter(row => {
+                const id = LocalDatabase._keyId(LocalDatabase._getKey(tableSchema, row));
+                if(seenIds.has(id)) return false;
+                seenIds.add(id);
+                return LocalDatabase._matches(tableSchema, row, query);
+            });
+        });
+    }
+
+    /**
+     * Picks the cheapest way to find the rows matching a query.
+     * 
+     * A small query planner:
+     * 1. Every part of the query a column can answer (the key column, a column or a compound column) becomes a candidate lookup.
+     * 2. If there is more than one candidate, they are all counted and the one finding the fewest rows is used.
+     * 3. The rows it finds still have to be checked against the whole query in memory, which also covers parts of the query no column can answer (such as values that are not in the table schema).
+     * 
+     * If no part of the query can be answered by a column, the lookup reads every row of the table, unless `allowFullScan` is false.
+     * @param {IDBObjectStore} store 
+     * @param {TableSchema} tableSchema 
+     * @param {Object} query 
+     * @param {Boolean} allowFullScan 
+     * @param {String} errorMessagePrepend 
+     * @returns {Promise.<Lookup>}
+     */
+    static _chooseLookup(store, tableSchema, query, allowFullScan, errorMessagePrepend) {
+        const lookups = LocalDatabase._getCandidateLookups(store, tableSchema, query);
+        // Nothing narrows the query down, so start with every row.
+        if(lookups.length === 0) {
+            if(Object.keys(query).length > 0 && !allowFullScan)
+                throw new LocalDatabaseError(`${errorMessagePrepend}: No column in table (${tableSchema.name}) can answer the query ${JSON.stringify(query)}, so every row would have to be scanned. Add a column for one of the queried values, or pass \`allowFullScan: true\`.`);
+            return Promise.resolve({ ranges: [{ source: store, range: null }] });
+        }
+
+        /**
+         * Counts the rows a lookup would find.
+         * @param {Lookup} lookup 
+         * @returns {Promise.<Number>}
+         */
+        const count = lookup => Promise.all(lookup.ranges.map(({ source, range }) => LocalDatabase._request(source.count(range), errorMessagePrepend)))
+            .then(counts => counts.reduce((total, current) => total + current, 0));
+        return lookups.length === 1 
+            ? Promise.resolve(lookups[0]) 
+            : Promise.all(lookups.map(count)).then(counts => lookups[counts.indexOf(Math.min(...counts))]);
+    }
+
+    /**
+     * Works out every way the columns of a table could narrow down a query.
+     * @param {IDBObjectStore} store 
+     * @param {TableSchema} tableSchema 
+     * @param {Object} query 
+     * @returns {Array.<Lookup>} Every row matching the query is found by each lookup (along with rows that do not match).
+     */
+    static _getCandidateLookups(store, tableSchema, query) {
+        const { groups, columns } = LocalDatabase._splitQuery(tableSchema, query);
+        const lookups = [];
+        /**
+         * Gets the store or index that can search a column, if there is one.
+         * @param {String|null} columnName Null for the key column.
+         * @returns {IDBObjectStore|IDBIndex|null}
+         */
+        const getSource = columnName => {
+            if(columnName === null || tableSchema.keyColumn.keyPath === columnName) return store;
+            const column = tableSchema.otherColumns.find(column => column.keyPath === columnName || column.name === columnName);
+            return column ? LocalDatabase._getIndex(store, column.name, "Error in LocalDatabase.select") : null;
+        }
+
+        // Destructure column queries into exact matches, ranges ($lt, $lte, $gte, $gt) and everything else
+        const exactMatches = {};
+        const ranges = {};
+        for(const [columnName, columnEntry] of Object.entries(columns)) {
+            // Basic query for exact matches (including dates and arrays)
+            if(!LocalDatabase._isPlainObject(columnEntry)) {
+                if(LocalDatabase._isValidKey(columnEntry)) exactMatches[columnName] = columnEntry;
+                continue;
+            }
+            const bounds = LocalDatabase._getBounds(columnEntry);
+            if(bounds) ranges[columnName] = bounds;
+        }
+
+        // Compound columns covering several columns of the query
+        for(const [columnName, keyOrRange] of LocalDatabase._getCompoundQueries(tableSchema, { ...exactMatches }, { ...ranges }))
+            lookups.push({ ranges: [{ source: getSource(columnName), range: keyOrRange }] });
+
+        for(const [columnName, columnEntry] of Object.entries(columns)) {
+            const source = getSource(columnName);
+            if(!source) continue;
+
+            if(columnName in exactMatches)
+                lookups.push({ ranges: [{ source, range: exactMatches[columnName] }] });
+            if(columnName in ranges)
+                lookups.push({ ranges: [{ source, range: LocalDatabase._toKeyRange(ranges[columnName]) }] });
+            if(!LocalDatabase._isPlainObject(columnEntry)) continue;
+
+            // Equal to one of
+            if(columnEntry.$in !== undefined && columnEntry.$in.every(value => LocalDatabase._isValidKey(value)))
+                lookups.push({ ranges: columnEntry.$in.map(value => ({ source, range: value })) });
+            // Has a searchable value
+            if(columnEntry.$exists === true)
+                lookups.push({ ranges: [{ source, range: null }] });
+            // Starts with. "\uffff" is the highest character, so every string starting with the prefix sorts below prefix + "\uffff".
+            if(typeof columnEntry.$startsWith === "string")
+                lookups.push({ ranges: [{ source, range: LocalDatabase._KeyRange.bound(columnEntry.$startsWith, `${columnEntry.$startsWith}\uffff`) }] });
+        }
+
+        // Every part of an $and has to match, so any of their lookups will do
+        if(groups.$and !== undefined)
+            lookups.push(...groups.$and.flatMap(subQuery => LocalDatabase._getCandidateLookups(store, tableSchema, subQuery)));
+        // Only one part of an $or has to match, so each part needs a lookup
+        if(groups.$or !== undefined) {
+            const branchLookups = groups.$or.map(subQuery => LocalDatabase._getCandidateLookups(store, tableSchema, subQuery)[0]);
+            if(branchLookups.length > 0 && branchLookups.every(lookup => lookup))
+                lookups.push({ ranges: branchLookups.flatMap(lookup => lookup.ranges) });
+        }
+        return lookups;
+    }
+
+    /**
+     * Reads the rows with the given keys from a store, in the same order as the keys.
+     * @param {IDBObjectStore} store 
+     * @param {Array} keys 
+     * @returns {Promise.<Array.<Object>>}
+     */
+    static _getRows(store, keys) {
+        return Promise.all(keys.map(key => LocalDatabase._request(store.get(key), "Error in LocalDatabase.select")));
+    }
+
+    /**
+     * Wraps an IndexedDB request in a promise.
+     * @param {IDBRequest} request 
+     * @param {String} errorMessagePrepend 
+     * @returns {Promise} Resolves with the result of the request.
+     */
+    static _request(request, errorMessagePrepend) {
+        return new Promise((success, reject) => {
+            request.onsuccess = event => success(event.target.result);
+            // Requests on an index have the index as their source
+            const store = request.source.objectStore || request.source;
+            request.onerror = event => reject(LocalDatabase._toError(errorMessagePrepend, event.target.error, { table: store.name }));
+        });
+    }
+
+    /**
+     * @typedef SplitQuery
+     * @property {{$or: Array.<Object>, $and: Array.<Object>, $not: Object}} groups The queries grouped by $or, $and and $not.
+     * @property {Object} columns The column queries, flattened to dot-paths.
+     */
+
+    /**
+     * Splits a query into its groups and its column queries, making sure every selector is known.
+     * @param {TableSchema} tableSchema 
+     * @param {Object} query 
+     * @returns {SplitQuery}
+     */
+    static _splitQuery(tableSchema, query) {
+        const groups = {};
+        const columnQuery = {};
+        for(const [key, value] of Object.entries(query)) {
+            if(!key.startsWith("$")) {
+                columnQuery[key] = value;
+                continue;
+            }
+            if(!LocalDatabase._groupSelectors.includes(key))
+                throw new LocalDatabaseError(`Error in LocalDatabase.select: Unknown selector (${key}) in the query for table (${tableSchema.name}). Selectors that group queries are ${LocalDatabase._groupSelectors.join(", ")}.`);
+            groups[key] = key === "$not" ? value : LocalDatabase._toQueryArray(value, key);
+        }
+
+        const columns = LocalDatabase._flattenQuery(columnQuery);
+        for(const [columnName, columnEntry] of Object.entries(columns)) {
+            if(!LocalDatabase._isPlainObject(columnEntry)) continue;
+            for(const selector of Object.keys(columnEntry)) {
+                if(!LocalDatabase._columnSelectors.includes(selector))
+                    throw new LocalDatabaseError(`Error in LocalDatabase.select: Unknown selector (${selector}) in the query for column (${columnName}) in table (${tableSchema.name}). Column selectors are ${LocalDatabase._columnSelectors.join(", ")}.`);
+                if(["$in", "$nin"].includes(selector))
+                    LocalDatabase._toQueryArray(columnEntry[selector], selector);
+            }
+        }
+        return { groups, columns };
+    }
+
+    /**
+     * Checks a single row against a query, in memory, the same way `select` would find it using the table's columns.
+     * @param {TableSchema} tableSchema 
+     * @param {Object} row 
+     * @param {Object} query 
+     * @returns {Boolean}
+     */
+    static _matches(tableSchema, row, query) {
+        const { groups, columns } = LocalDatabase._splitQuery(tableSchema, query);
+        if(groups.$or !== undefined && !groups.$or.some(subQuery => LocalDatabase._matches(tableSchema, row, subQuery))) return false;
+        if(groups.$and !== undefined && !groups.$and.every(subQuery => LocalDatabase._matches(tableSchema, row, subQuery))) return false;
+        if(groups.$not !== undefined && LocalDatabase._matches(tableSchema, row, groups.$not)) return false;
+
+        for(const [columnName, columnEntry] of Object.entries(columns)) {
+            const keys = LocalDatabase._getIndexKeys(tableSchema, row, columnName);
+            const rowValue = LocalDatabase._getValue(row, columnName);
+            /**
+             * Compares the row's value with a value from the query.
+             * Values that cannot be searched by a column (booleans, null) are compared directly. null also matches missing values.
+             * @param {*} value 
+             * @returns {Boolean}
+             */
+            const equals = value => {
+                if(LocalDatabase._isValidKey(value)) return keys.some(key => MemoryAdapter.cmp(key, value) === 0);
+                if(value === null) return rowValue === null || rowValue === undefined;
+                return rowValue === value;
+            }
+
+            // Basic query for exact matches
+            if(!LocalDatabase._isPlainObject(columnEntry)) {
+                if(!equals(columnEntry)) return false;
+                continue;
+            }
+
+            const bounds = LocalDatabase._getBounds(columnEntry);
+            if(bounds && !keys.some(key => LocalDatabase._isInBounds(key, bounds))) return false;
+            if(columnEntry.$ne !== undefined && equals(columnEntry.$ne)) return false;
+            if(columnEntry.$in !== undefined && !columnEntry.$in.some(equals)) return false;
+            if(columnEntry.$nin !== undefined && columnEntry.$nin.some(equals)) return false;
+            if(columnEntry.$exists !== undefined && (keys.length > 0) !== columnEntry.$exists) return false;
+            if(columnEntry.$startsWith !== undefined && !keys.some(key => typeof key === "string" && key.startsWith(columnEntry.$startsWith))) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Gets the keys a column would store for a row, the same way IndexedDB does when indexing it.
+     * @param {TableSchema} tableSchema 
+     * @param {Object} row 
+     * @param {String} columnName 
+     * @returns {Array} Empty if the row has no searchable value in the column. More than one key for multiEntry columns holding arrays.
+     */
+    static _getIndexKeys(tableSchema, row, columnName) {
+        const value = LocalDatabase._getValue(row, columnName);
+        const column = tableSchema.otherColumns.find(column => column.keyPath === columnName);
+        if(column && column.options && column.options.multiEntry && Array.isArray(value))
+            return value.filter(element => LocalDatabase._isValidKey(element));
+        return LocalDatabase._isValidKey(value) ? [value] : [];
+    }
+
+    /**
+     * Returns true if the given variable can be used as an IndexedDB key (and therefore be searched).
+     * @see https://developer.mozilla.org/en-US/docs/Web/API/IndexedDB_API/Basic_Terminology#key
+     * @param {*} variable 
+     * @returns {Boolean}
+     */
+    static _isValidKey(variable) {
+        if(typeof variable === "number") return !Number.isNaN(variable);
+        if(typeof variable === "string") return true;
+        if(variable instanceof Date) return !Number.isNaN(variable.getTime());
+        if(variable instanceof ArrayBuffer || ArrayBuffer.isView(variable)) return true;
+        if(Array.isArray(variable)) return variable.every(element => LocalDatabase._isValidKey(element));
+        return false;
+    }
+
+    /**
+     * Returns true if a key is within bounds.
+     * @param {*} key 
+     * @param {Bounds} bounds 
+     * @returns {Boolean}
+     */
+    static _isInBounds(key, bounds) {
+        if(bounds.lower !== undefined) {
+            const comparison = MemoryAdapter.cmp(key, bounds.lower);
+            if(comparison < 0 || (comparison === 0 && bounds.lowerOpen)) return false;
+        }
+        if(bounds.upper !== undefined) {
+            const comparison = MemoryAdapter.cmp(key, bounds.upper);
+            if(comparison > 0 || (comparison === 0 && bounds.upperOpen)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Makes sure a selector was given an array.
+     * @param {*} value 
+     * @param {String} selector The selector the value was given to, for the error message.
+     * @returns {Array}
+     */
+    static _toQueryArray(value, selector) {
+        if(!Array.isArray(value)) throw new LocalDatabaseError(`Error in LocalDatabase.select: The ${selector} selector must be given an array.`);
+        return value;
+    }
+
+    /**
+     * @typedef DeleteResult
+     * @property {Number} deleted The number of rows that were deleted.
+     */
+
+    /**
+     * Deletes all entries matching the query in a single transaction.
+     * 
+     * Queries on a single column are deleted straight from that column's range without loading the rows first.
+     * Rows of a softDelete table are marked with a `deletedAt` date instead of being removed. Bring them back with `restore`, or remove them for good with `purge`.
+     * @param {String} table 
+     * @param {*} query The same as a `select` query.
+     * @returns {Promise.<DeleteResult>}
+     * @async
+     */
+    delete(table, query) {
+        return this._callMiddleware({ method: "delete", table, args: [table, query] }, () => {
+            try {
+                this._checkTable("delete", table);
+            } catch (error) {
+                return Promise.reject(error);
+            }
+            return this._runTransaction(this._getDeleteScope(table), tx => tx.delete(table, query))
+                .catch(error => { throw LocalDatabase._toError("Error in LocalDatabase.delete", error, { table, query }); });
+        });
+    }
+
+    /**
+     * Deletes all entries matching the query inside of an existing transaction, running the delete hooks of the table.
+     * 
+     * Rows of a softDelete table are marked with a `deletedAt` date instead, unless they are being purged.
+     * @param {IDBTransaction} txn 
+     * @param {String} table 
+     * @param {*} query 
+     * @param {{purge: Boolean}} [options] `purge` removes the rows of a softDelete table for good, whether they have been deleted or not.
+     * @returns {Promise.<DeleteResult>} Resolves once the rows have been deleted (not committed).
+     */
+    _delete(txn, table, query, options = {}) {
+        const tableSchema = this.schema.tableMap[table];
+        const deleteRows = query => tableSchema.softDelete && !options.purge
+            ? this._update(txn, table, query, { $set: { deletedAt: new Date() } }).then(result => ({ deleted: result.modified }))
+            : this._deleteRows(txn, table, query);
+        return this._runHooks("beforeDelete", txn, table, query, {}).then(query => {
+            if(this._getHooks("afterDelete", table).length === 0) return deleteRows(query);
+            // afterDelete hooks are given the deleted rows, so read them before they are gone
+            const visibleQuery = options.purge ? query : LocalDatabase._hideDeleted(tableSchema, query);
+            return LocalDatabase._findRows(txn.objectStore(table), tableSchema, visibleQuery, this.allowFullScan).then(rows => deleteRows(query)
+                .then(result => this._runHooks("afterDelete", txn, table, rows, { query }).then(() => result)));
+        });
+    }
+
+    /**
+     * Deletes all entries matching the query inside of an existing transaction, without running the delete hooks of the table.
+     * @param {IDBTransaction} txn 
+     * @param {String} table 
+     * @param {*} query 
+     * @returns {Promise.<DeleteResult>} Resolves once the rows have been deleted (not committed).
+     */
+    _deleteRows(txn, table, query) {
+        const store = txn.objectStore(table);
+        const tableSchema = this.schema.tableMap[table];
+        const references = this.schema.getReferencesTo(table);
+        if(references.length > 0) return this._deleteReferenced(txn, table, query, references);
+        // A query on the key column alone (or an empty query) is deleted as a key range
+        const { range: keyRange, isFullyServed: isKeyRange } = LocalDatabase._getCursorRange(tableSchema, tableSchema.keyColumn, query);
+        if(isKeyRange) {
+            // Change listeners need the rows, so read them before they are gone
+            const reading = this._isWatched(table)
+                ? LocalDatabase._request(store.getAll(keyRange), "Error in LocalDatabase.delete")
+                    .then(rows => rows.forEach(row => this._recordChange(txn, table, "deleted", LocalDatabase._getKey(tableSchema, row), row)))
+                : null;
+            const counting = LocalDatabase._request(keyRange ? store.count(keyRange) : store.count(), "Error in LocalDatabase.delete");
+            const deleting = LocalDatabase._request(keyRange ? store.delete(keyRange) : store.clear(), "Error in LocalDatabase.delete");
+            return Promise.all([counting, deleting, reading]).then(([deleted]) => ({ deleted }));
+        }
+
+        // A query on another single column is deleted with a cursor over that column's range
+        const column = tableSchema.otherColumns.find(column => !(column.options && column.options.multiEntry) && LocalDatabase._getCursorRange(tableSchema, column, query).isFullyServed);
+        if(column) {
+            const { range } = LocalDatabase._getCursorRange(tableSchema, column, query);
+            return new Promise((success, reject) => {
+                let deleted = 0;
+                const request = LocalDatabase._getIndex(store, column.name, "Error in LocalDatabase.delete").openCursor(range);
+                request.onsuccess = event => {
+                    const cursor = event.target.result;
+                    if(!cursor) {
+                        success({ deleted });
+                        return;
+                    }
+                    this._recordChange(txn, table, "deleted", cursor.primaryKey, cursor.value);
+                    cursor.delete();
+                    deleted++;
+                    cursor.continue();
+                }
+                request.onerror = event => reject(LocalDatabase._toError("Error in LocalDatabase.delete", event.target.error, { table, query }));
+            });
+        }
+
+        // Select all entries to be deleted
+        return LocalDatabase._findRows(store, tableSchema, query, this.allowFullScan).then(results => {
+            // Get an array of keys from the results.
+            const keyArray = results.map(entry => LocalDatabase._getKey(tableSchema, entry));
+            results.forEach((row, i) => this._recordChange(txn, table, "deleted", keyArray[i], row));
+            return Promise.all(keyArray.map(key => LocalDatabase._request(store.delete(key), "Error in LocalDatabase.delete"))).then(() => ({ deleted: keyArray.length }));
+        });
+    }
+
+    /**
+     * @typedef RestoreResult
+     * @property {Number} restored The number of rows that were restored.
+     */
+
+    /**
+     * Takes the deleted rows of a softDelete table matching the query out of the trash, in a single transaction.
+     * @example LocalDatabase.restore("PersonsTable", { deletedAt: { $gte: lastWeek } })
+     * @param {String} table 
+     * @param {*} [query] The same as a `select` query. Only deleted rows are matched.
+     * @returns {Promise.<RestoreResult>}
+     * @async
+     */
+    restore(table, query = {}) {
+        return this._callMiddleware({ method: "restore", table, args: [table, query] }, () => {
+            try {
+                this._checkTable("restore", table);
+            } catch (error) {
+                return Promise.reject(error);
+            }
+            return this._runTransaction([table], tx => tx.restore(table, query))
+                .catch(error => { throw LocalDatabase._toError("Error in LocalDatabase.restore", error, { table, query }); });
+        });
+    }
+
+    /**
+     * Takes the deleted rows of a softDelete table matching the query out of the trash inside of an existing transaction.
+     * @param {IDBTransaction} txn 
+     * @param {String} table 
+     * @param {*} query 
+     * @returns {Promise.<RestoreResult>} Resolves once the rows have been restored (not committed).
+     */
+    _restore(txn, table, query) {
+        LocalDatabase._checkSoftDelete(this.schema.tableMap[table], "Error in LocalDatabase.restore");
+        return this._update(txn, table, { $and: [query, { deletedAt: { $exists: true } }] }, { $unset: { deletedAt: true } }, { withDeleted: true })
+            .then(result => ({ restored: result.modified }));
+    }
+
+    /**
+     * Removes the deleted rows of a softDelete table matching the query for good, in a single transaction.
+     * 
+     * References to the rows are handled the same way as when deleting from a table without softDelete, following the `onDelete` option of the referencing columns.
+     * @example LocalDatabase.purge("PersonsTable", { deletedAt: { $lt: lastMonth } })
+     * @param {String} table 
+     * @param {*} [query] The same as a `select` query. Only deleted rows are matched.
+     * @returns {Promise.<DeleteResult>}
+     * @async
+     */
+    purge(table, query = {}) {
+        return this._callMiddleware({ method: "purge", table, args: [table, query] }, () => {
+            try {
+                this._checkTable("purge", table);
+            } catch (error) {
+                return Promise.reject(error);
+            }
+            return this._runTransaction(this._getDeleteScope(table), tx => tx.purge(table, query))
+                .catch(error => { throw LocalDatabase._toError("Error in LocalDatabase.purge", error, { table, query }); });
+        });
+    }
+
+    /**
+     * Removes the deleted rows of a softDelete table matching the query for good inside of an existing transaction.
+     * @param {IDBTransaction} txn 
+     * @param {String} table 
+     * @param {*} query 
+     * @returns {Promise.<DeleteResult>} Resolves once the rows have been removed (not committed).
+     */
+    _purge(txn, table, query) {
+        LocalDatabase._checkSoftDelete(this.schema.tableMap[table], "Error in LocalDatabase.purge");
+        return this._delete(txn, table, { $and: [query, { deletedAt: { $exists: true } }] }, { purge: true });
+    }
+
+    /**
+     * Makes sure a table keeps its deleted rows.
+     * @param {TableSchema} tableSchema 
+     * @param {String} errorMessagePrepend 
+     */
+    static _checkSoftDelete(tableSchema, errorMessagePrepend) {
+        if(!tableSchema.softDelete) throw new LocalDatabaseError(`${errorMessagePrepend}: Table (${tableSchema.name}) does not use softDelete, so its deleted rows are not kept. Give the table the \`softDelete: true\` option.`, { table: tableSchema.name });
+    }
+
+    /**
+     * Leaves the deleted rows of a softDelete table out of a query.
+     * @param {TableSchema} tableSchema 
+     * @param {*} query 
+     * @param {Boolean} [withDeleted] If true, the query is returned as it is.
+     * @returns {*}
+     */
+    static _hideDeleted(tableSchema, query, withDeleted = false) {
+        if(!tableSchema.softDelete || withDeleted) return query;
+        return { $and: [query, { deletedAt: { $exists: false } }] };
+    }
+
+    /**
+     * @typedef UpdateResult
+     * @property {Number} matched The number of rows matching the query.
+     * @property {Number} modified The number of rows that were changed. Rows the changes made no difference to are not counted.
+     */
+
+    /**
+     * The operators that can be used to change rows with `update`.
+     * @type {Array.<String>}
+     */
+    static _updateOperators = ["$set", "$unset", "$inc", "$push", "$pull"];
+
+    /**
+     * Changes part of every entry matching the query in a single transaction.
+     * 
+     * Columns are given as dot-paths to change values inside of nested objects.
+     * The deleted rows of a softDelete table are left as they are.
+     * @example LocalDatabase.update("users", { id: 1 }, { $set: { "address.city": "Oslo" }, $inc: { visits: 1 }, $push: { tags: "admin" } })
+     * @param {String} table 
+     * @param {*} query The same as a `select` query.
+     * @param {Object} changes The changes to make, by operator: `$set`, `$unset`, `$inc`, `$push` and `$pull`.
+     * @returns {Promise.<UpdateResult>}
+     * @async
+     */
+    update(table, query, changes) {
+        return this._callMiddleware({ method: "update", table, args: [table, query, changes] }, () => {
+            try {
+                this._checkTable("update", table);
+            } catch (error) {
+                return Promise.reject(error);
+            }
+            return this._runTransaction(this._getUpdateScope(table), tx => tx.update(table, query, changes))
+                .catch(error => { throw LocalDatabase._toError("Error in LocalDatabase.update", error, { table, query }); });
+        });
+    }
+
+    /**
+     * Changes part of every entry matching the query inside of an existing transaction.
+     * 
+     * The matching rows are walked with a cursor and changed once every one has been checked, so nothing is written if any of them would be invalid.
+     * Rows that are changed get a new `updatedAt` date if the table has timestamps, unless the changes set one.
+     * If the changes touch a column referencing another table, the rows it references must exist, and that table has to be part of the transaction.
+     * @param {IDBTransaction} txn 
+     * @param {String} table 
+     * @param {*} query 
+     * @param {Object} changes 
+     * @param {{withDeleted: Boolean}} [options] `withDeleted` changes the deleted rows of a softDelete table too.
+     * @returns {Promise.<UpdateResult>} Resolves once the rows have been changed (not committed).
+     */
+    _update(txn, table, query, changes, options = {}) {
+        const store = txn.objectStore(table);
+        const tableSchema = this.schema.tableMap[table];
+        LocalDatabase._checkChanges(tableSchema, changes);
+        query = LocalDatabase._hideDeleted(tableSchema, query, options.withDeleted);
+        const isStamped = tableSchema.timestamps && !(changes.$set && changes.$set.updatedAt !== undefined);
+        const now = new Date();
+
+        return LocalDatabase._chooseLookup(store, tableSchema, query, this.allowFullScan, "Error in LocalDatabase.update").then(lookup => {
+            let matched = 0;
+            // Rows the changes would make invalid. If there are any, the update is rejected once every row has been checked.
+            const failures = [];
+            // The changed rows, written once every row has been checked
+            const updates = [];
+            // Rows can be found more than once by multiEntry columns
+            const seenIds = new Set();
+            const walk = ({ source, range }) => new Promise((success, reject) => {
+                const request = source.openCursor(range);
+                request.onsuccess = event => {
+                    const cursor = event.target.result;
+                    if(!cursor) {
+                        success();
+                        return;
+                    }
+                    const id = LocalDatabase._keyId(cursor.primaryKey);
+                    const row = cursor.value;
+                    if(!seenIds.has(id) && LocalDatabase._matches(tableSchema, row, query)) {
+                        seenIds.add(id);
+                        matched++;
+                        let isModified;
+                        try {
+                            isModified = LocalDatabase._applyChanges(row, changes);
+                        } catch (error) {
+                            reject(error);
+                            return;
+                        }
+                        const rowFailures = isModified ? LocalDatabase._checkRow(tableSchema, row) : [];
+                        if(rowFailures.length > 0) {
+                            failures.push(...rowFailures.map(failure => ({ key: cursor.primaryKey, ...failure })));
+                        } else if(isModified) {
+                            if(isStamped) row.updatedAt = now;
+                            updates.push({ key: cursor.primaryKey, row });
+                        }
+                    }
+                    cursor.continue();
+                }
+                request.onerror = event => reject(LocalDatabase._toError("Error in LocalDatabase.update", event.target.error, { table, query }));
+            });
+            return lookup.ranges.reduce((walking, range) => walking.then(() => walk(range)), Promise.resolve()).then(() => {
+                if(failures.length > 0) throw LocalDatabase._validationError(tableSchema, failures, "Error in LocalDatabase.update");
+                // Only the references the changes touch are checked, so soft deletes and setNull don't need the referenced tables
+                const changedPaths = Object.values(changes).flatMap(columns => Object.keys(columns));
+                const referenceColumns = tableSchema.otherColumns.filter(column => column.options && column.options.references && [column.keyPath].flat()
+                    .some(keyPath => changedPaths.some(path => keyPath === path || keyPath.startsWith(`${path}.`) || path.startsWith(`${keyPath}.`))));
+                return LocalDatabase._checkReferences(txn, tableSchema, updates.map(update => update.row), "Error in LocalDatabase.update", referenceColumns);
+            }).then(() => Promise.all(updates.map(({ key, row }) => LocalDatabase._request(store.put(row), "Error in LocalDatabase.update").then(() => {
+                this._recordChange(txn, table, "updated", key, row);
+            })))).then(() => ({ matched, modified: updates.length }));
+        });
+    }
+
+    /**
+     * Makes sure the changes given to `update` can be applied to a table.
+     * @param {TableSchema} tableSchema 
+     * @param {Object} changes 
+     */
+    static _checkChanges(tableSchema, changes) {
+        if(!LocalDatabase._isPlainObject(changes) || Object.keys(changes).length === 0)
+            throw new LocalDatabaseError("Error in LocalDatabase.update: No changes defined. Pass an object of operators such as { $set: { column: value } }.");
+        const keyPaths = [tableSchema.keyColumn.keyPath].flat();
+        for(const [operator, columns] of Object.entries(changes)) {
+            if(!LocalDatabase._updateOperators.includes(operator))
+                throw new LocalDatabaseError(`Error in LocalDatabase.update: Unknown operator (${operator}). Use one of: ${LocalDatabase._updateOperators.join(", ")}.`);
+            if(!LocalDatabase._isPlainObject(columns))
+                throw new LocalDatabaseError(`Error in LocalDatabase.update: The ${operator} operator must be given an object of columns, such as { ${operator}: { column: value } }.`);
+            for(const [path, value] of Object.entries(columns)) {
+                const changesKey = keyPaths.some(keyPath => keyPath === path || keyPath.startsWith(`${path}.`) || path.startsWith(`${keyPath}.`));
+                if(changesKey) throw new LocalDatabaseError(`Error in LocalDatabase.update: The key column of table (${tableSchema.name}) cannot be changed (${operator} on ${path}). Delete the row and add it again instead.`);
+                if(operator === "$inc" && typeof value !== "number")
+                    throw new LocalDatabaseError(`Error in LocalDatabase.update: The $inc operator must be given a number for column (${path}).`);
+            }
+        }
+    }
+
+    /**
+     * Applies the changes given to `update` to a row.
+     * @param {Object} row The row to change. It is changed in place.
+     * @param {Object} changes 
+     * @returns {Boolean} True if the row was changed.
+     */
+    static _applyChanges(row, changes) {
+        let isModified = false;
+        for(const [operator, columns] of Object.entries(changes)) {
+            for(const [path, value] of Object.entries(columns)) {
+                const current = LocalDatabase._getValue(row, path);
+                switch(operator) {
+                    case "$set":
+                        if(LocalDatabase._isSameValue(current, value)) break;
+                        LocalDatabase._setValue(row, path, value);
+                        isModified = true;
+                        break;
+                    case "$unset":
+                        if(LocalDatabase._unsetValue(row, path)) isModified = true;
+                        break;
+                    case "$inc":
+                        if(current !== undefined && typeof current !== "number")
+                            throw new LocalDatabaseError(`Error in LocalDatabase.update: Cannot $inc column (${path}) because it is not a number: ${JSON.stringify(current)}`);
+                        if(current !== undefined && value === 0) break;
+                        LocalDatabase._setValue(row, path, (current || 0) + value);
+                        isModified = true;
+                        break;
+                    case "$push": {
+                        if(current !== undefined && !Array.isArray(current))
+                            throw new LocalDatabaseError(`Error in LocalDatabase.update: Cannot $push to column (${path}) because it is not an array: ${JSON.stringify(current)}`);
+                        const items = LocalDatabase._isPlainObject(value) && "$each" in value ? value.$each : [value];
+                        if(!Array.isArray(items)) throw new LocalDatabaseError(`Error in LocalDatabase.update: The $each modifier for column (${path}) must be given an array.`);
+                        if(current !== undefined && items.length === 0) break;
+                        LocalDatabase._setValue(row, path, [...(current || []), ...items]);
+                        isModified = true;
+                        break;
+                    }
+                    case "$pull": {
+                        if(current === undefined) break;
+                        if(!Array.isArray(current))
+                            throw new LocalDatabaseError(`Error in LocalDatabase.update: Cannot $pull from column (${path}) because it is not an array: ${JSON.stringify(current)}`);
+                        const values = LocalDatabase._isPlainObject(value) && "$in" in value ? value.$in : [value];
+                        if(!Array.isArray(values)) throw new LocalDatabaseError(`Error in LocalDatabase.update: The $in modifier for column (${path}) must be given an array.`);
+                        const remaining = current.filter(item => !values.some(pulled => LocalDatabase._isSameValue(item, pulled)));
+                        if(remaining.length === current.length) break;
+                        LocalDatabase._setValue(row, path, remaining);
+                        isModified = true;
+                        break;
+                    }
+                }
+            }
+        }
+        return isModified;
+    }
+
+    /**
+     * Sets the value at a dot-path inside of a row, creating any missing objects along the way.
+     * @param {Object} row 
+     * @param {String} path 
+     * @param {*} value 
+     */
+    static _setValue(row, path, value) {
+        const properties = path.split(".");
+        const last = properties.pop();
+        let parent = row;
+        for(const property of properties) {
+            if(parent[property] === undefined || parent[property] === null) parent[property] = {};
+            if(typeof parent[property] !== "object")
+                throw new LocalDatabaseError(`Error in LocalDatabase.update: Cannot set column (${path}) because (${property}) is not an object: ${JSON.stringify(parent[property])}`);
+            parent = parent[property];
+        }
+        parent[last] = value;
+    }
+
+    /**
+     * Removes the value at a dot-path inside of a row.
+     * @param {Object} row 
+     * @param {String} path 
+     * @returns {Boolean} True if there was a value to remove.
+     */
+    static _unsetValue(row, path) {
+        const properties = path.split(".");
+        const last = properties.pop();
+        const parent = properties.length > 0 ? LocalDatabase._getValue(row, properties.join(".")) : row;
+        if(parent === null || typeof parent !== "object" || !(last in parent)) return false;
+        delete parent[last];
+        return true;
+    }
+
+    /**
+     * Returns true if two values are the same. Values that are valid keys (such as dates and arrays) are compared the way IndexedDb compares keys.
+     * @param {*} valueA 
+     * @param {*} valueB 
+     * @returns {Boolean}
+     */
+    static _isSameValue(valueA, valueB) {
+        if(valueA === valueB) return true;
+        return LocalDatabase._isValidKey(valueA) && LocalDatabase._isValidKey(valueB) && MemoryAdapter.cmp(valueA, valueB) === 0;
+    }
+
+    /**
+     * Deletes all entries matching the query from a table other tables reference, inside of an existing transaction.
+     * 
+     * Every "restrict" reference is checked before anything is deleted. Then the rows are deleted, and the rows referencing them are deleted ("cascade") or have their references removed ("setNull").
+     * @param {IDBTransaction} txn 
+     * @param {String} table 
+     * @param {*} query 
+     * @param {Array.<{table: TableSchema, column: ColumnSchema}>} references The columns referencing the table.
+     * @returns {Promise.<DeleteResult>} `deleted` only counts the rows of this table, not the rows deleted by cascades.
+     */
+    _deleteReferenced(txn, table, query, references) {
+        const store = txn.objectStore(table);
+        const tableSchema = this.schema.tableMap[table];
+        return LocalDatabase._findRows(store, tableSchema, query, this.allowFullScan).then(rows => {
+            const keys = rows.map(row => LocalDatabase._getKey(tableSchema, row));
+            if(keys.length === 0) return { deleted: 0 };
+            const deletingIds = new Set(keys.map(key => LocalDatabase._keyId(key)));
+
+            // Rows that are being deleted as well don't hold on to the rows they reference
+            const restricting = references.filter(({ column }) => (column.options.onDelete || "restrict") === "restrict");
+            const checking = Promise.all(restricting.map(({ table: referencingTable, column }) => {
+                const index = LocalDatabase._getIndex(LocalDatabase._getRelatedStore(txn, table, referencingTable.name, "Error in LocalDatabase.delete"), column.name, "Error in LocalDatabase.delete");
+                return Promise.all(keys.map(key => LocalDatabase._request(index.getAllKeys(key), "Error in LocalDatabase.delete").then(referencingKeys => {
+                    const isStillReferenced = referencingKeys.some(referencingKey => referencingTable.name !== table || !deletingIds.has(LocalDatabase._keyId(referencingKey)));
+                    return isStillReferenced ? key : undefined;
+                }))).then(referencedKeys => {
+                    const blockingKeys = referencedKeys.filter(key => key !== undefined);
+                    if(blockingKeys.length > 0)
+                        throw new ConstraintError(`Error in LocalDatabase.delete: Cannot delete from table (${table}) because column (${column.name}) in table (${referencingTable.name}) still references the keys ${JSON.stringify(blockingKeys)}. Delete those rows first, or use onDelete "cascade" or "setNull".`, { table: referencingTable.name, column: column.name, keys: blockingKeys });
+                });
+            }));
+
+            return checking.then(() => {
+                rows.forEach((row, i) => this._recordChange(txn, table, "deleted", keys[i], row));
+                return Promise.all(keys.map(key => LocalDatabase._request(store.delete(key), "Error in LocalDatabase.delete")));
+            }).then(() => references.reduce((previous, { table: referencingTable, column }) => previous.then(() => {
+                LocalDatabase._getRelatedStore(txn, table, referencingTable.name, "Error in LocalDatabase.delete");
+                const referencingQuery = { [column.keyPath]: { $in: keys } };
+                // The referencing rows are removed or changed even if they have been soft deleted, as they could otherwise be restored with a broken reference
+                if(column.options.onDelete === "cascade")
+                    return this._delete(txn, referencingTable.name, referencingQuery, { purge: true });
+                if(column.options.onDelete === "setNull") {
+                    const changes = column.options.multiEntry ? { $pull: { [column.keyPath]: { $in: keys } } } : { $set: { [column.keyPath]: null } };
+                    return this._update(txn, referencingTable.name, referencingQuery, changes, { withDeleted: true });
+                }
+            }), Promise.resolve())).then(() => ({ deleted: keys.length }));
+        });
+    }
+
+    /**
+     * Works out the tables an add to a table uses: the table itself, the tables it references, and the tables its hooks use.
+     * @param {String} table 
+     * @returns {Array.<String>}
+     */
+    _getAddScope(table) {
+        const referenced = this.schema.tableMap[table].otherColumns.map(column => column.options && column.options.references).filter(Boolean);
+        return [...new Set([table, ...referenced, ...this._getHookTables(table, ["beforeAdd", "afterAdd"])])];
+    }
+
+    /**
+     * Works out the tables an update to a table uses: the table itself and the tables it references.
+     * @param {String} table 
+     * @returns {Array.<String>}
+     */
+    _getUpdateScope(table) {
+        const referenced = this.schema.tableMap[table].otherColumns.map(column => column.options && column.options.references).filter(Boolean);
+        return [...new Set([table, ...referenced])];
+    }
+
+    /**
+     * Works out the tables a delete from a table uses: the table itself, the tables referencing it, and the tables referencing any of those that a cascade deletes from.
+     * The tables the delete hooks of every table being deleted from use are included too.
+     * @param {String} table 
+     * @returns {Array.<String>}
+     */
+    _getDeleteScope(table) {
+        const scope = new Set([table]);
+        const deletingFrom = [table];
+        while(deletingFrom.length > 0) {
+            const deletingTable = deletingFrom.pop();
+            this._getHookTables(deletingTable, ["beforeDelete", "afterDelete"]).forEach(hookTable => scope.add(hookTable));
+            for(const { table: referencingTable, column } of this.schema.getReferencesTo(deletingTable)) {
+                if(scope.has(referencingTable.name)) continue;
+                scope.add(referencingTable.name);
+                if(column.options.onDelete === "cascade") deletingFrom.push(referencingTable.name);
+            }
+        }
+        return [...scope];
+    }
+
+    /**
+     * Makes sure every row referenced by the rows being added exists.
+     * @param {IDBTransaction} txn 
+     * @param {TableSchema} tableSchema 
+     * @param {Array.<Object>} rows 
+     * @param {String} errorMessagePrepend 
+     * @param {Array.<ColumnSchema>} [columns] The columns to check. Defaults to every column of the table.
+     * @returns {Promise} Rejects with a ConstraintError if a referenced row doesn't exist.
+     */
+    static _checkReferences(txn, tableSchema, rows, errorMessagePrepend, columns = tableSchema.otherColumns) {
+        const checks = [];
+        for(const column of columns) {
+            const referenced = column.options && column.options.references;
+            if(!referenced) continue;
+            let store;
+            try {
+                store = LocalDatabase._getRelatedStore(txn, tableSchema.name, referenced, errorMessagePrepend);
+            } catch (error) {
+                return Promise.reject(error);
+            }
+            // Rows can reference rows of the same table that are being added alongside them
+            const addingIds = referenced === tableSchema.name && !tableSchema.autoIncrement ? new Set(rows.map(row => LocalDatabase._keyId(LocalDatabase._getKey(tableSchema, row)))) : new Set();
+            const keys = LocalDatabase._unique(rows.flatMap(row => {
+                const value = LocalDatabase._getValue(row, column.keyPath);
+                return column.options.multiEntry && Array.isArray(value) ? value : [value];
+            }).filter(key => LocalDatabase._isValidKey(key) && !addingIds.has(LocalDatabase._keyId(key))));
+            checks.push(Promise.all(keys.map(key => LocalDatabase._request(store.count(key), errorMessagePrepend))).then(counts => {
+                const missingKeys = keys.filter((key, i) => counts[i] === 0);
+                if(missingKeys.length > 0)
+                    throw new ConstraintError(`${errorMessagePrepend}: Column (${column.name}) in table (${tableSchema.name}) references the keys ${JSON.stringify(missingKeys)}, which are not in table (${referenced}). Nothing was written.`, { table: tableSchema.name, column: column.name, keys: missingKeys });
+            }));
+        }
+        return Promise.all(checks);
+    }
+
+    /**
+     * Gets the store of a table related to the table being used, making sure it is part of the transaction.
+     * @param {IDBTransaction} txn 
+     * @param {String} table The table being used.
+     * @param {String} relatedTable 
+     * @param {String} errorMessagePrepend 
+     * @returns {IDBObjectStore}
+     */
+    static _getRelatedStore(txn, table, relatedTable, errorMessagePrepend) {
+        if(!txn.objectStoreNames.contains(relatedTable))
+            throw new UnknownTableError(`${errorMessagePrepend}: Table (${relatedTable}) is related to table (${table}), so it has to be part of the transaction too. Add it to the tables passed to \`LocalDatabase.transaction\`.`, { table: relatedTable });
+        return txn.objectStore(relatedTable);
+    }
+
+    /**
+     * @typedef TransactionScope
+     * @property {Function} add `add(table, object, options)` Inserts (or updates on collision) an item. Resolves with the key of the row.
+     * @property {Function} multiAdd `multiAdd(table, objects, options)` Inserts (or updates on collision) multiple items. Resolves with a WriteResult.
+     * @property {Function} select `select(table, query, options)` Selects all entries matching the query.
+     * @property {Function} update `update(table, query, changes)` Changes part of every entry matching the query. Resolves with an UpdateResult.
+     * @property {Function} delete `delete(table, query)` Deletes all entries matching the query. Resolves with a DeleteResult.
+     * @property {Function} restore `restore(table, query)` Takes the deleted rows of a softDelete table matching the query out of the trash. Resolves with a RestoreResult.
+     * @property {Function} purge `purge(table, query)` Removes the deleted rows of a softDelete table matching the query for good. Resolves with a DeleteResult.
+     */
+
+    /**
+     * Runs several operations across one or more tables as a single atomic transaction.
+     * 
+     * Every change is committed together once the callback resolves. If the callback throws (or rejects), or any operation fails, every change is rolled back.
+     * 
+     * @note IndexedDB commits a transaction as soon as it has nothing left to do. Only await the operations of `tx` inside of the callback, not timers, fetches or other databases. If the transaction is committed before the callback finishes, `transaction` rejects with a `LocalDatabaseError`.
+     * @example
+     * await LocalDatabase.transaction(["Inventory", "Cart"], async tx => {
+     *     const [item] = await tx.select("Inventory", { id: 4 });
+     *     await tx.delete("Inventory", { id: 4 });
+     *     await tx.add("Cart", item);
+     * });
+     * @param {Array.<String>} tables The names of every table the callback uses.
+     * @param {Function} callback Receives a TransactionScope. May return a promise.
+     * @returns {Promise} Resolves with whatever the callback resolved with, once everything has been committed.
+     * @async
+     */
+    transaction(tables, callback) {
+        return this._callMiddleware({ method: "transaction", tables, args: [tables, callback] }, () => this._runTransaction(tables, callback));
+    }
+
+    /**
+     * Runs several operations across one or more tables as a single atomic transaction, without calling the middleware.
+     * @param {Array.<String>} tables 
+     * @param {Function} callback 
+     * @returns {Promise}
+     */
+    _runTransaction(tables, callback) {
+        return new Promise((success, reject) => {
+            this._checkInitialised("transaction");
+            if(!Array.isArray(tables) || tables.length === 0) throw new UnknownTableError("Error in LocalDatabase.transaction: No tables defined. Pass an array of the names of every table you want to use.");
+            for(const table of tables) {
+                this._checkTable("transaction", table);
+            }
+
+            const txn = this.connection.transaction(tables, "readwrite");
+            const tx = this._createScope(txn, tables);
+
+            let callbackError = null;
+            let isCallbackSettled = false;
+            let isFinished = false;
+            let pending;
+            try {
+                pending = Promise.resolve(callback(tx));
+            } catch (error) {
+                pending = Promise.reject(error);
+            }
+            pending.then(() => {
+                isCallbackSettled = true;
+                if(isFinished || !txn.commit) return;
+                // Commit straight away rather than waiting for the transaction to notice it is finished
+                try {
+                    txn.commit();
+                } catch (commitError) {
+                    // The transaction has already finished
+                }
+            }, error => {
+                isCallbackSettled = true;
+                callbackError = error;
+                try {
+                    txn.abort();
+                } catch (abortError) {
+                    // The transaction has already finished
+                }
+            });
+
+            txn.oncomplete = () => {
+                isFinished = true;
+                this._emitChanges(txn);
+                // IndexedDB commits as soon as nothing is left to do, such as while the callback awaits a timer. Whatever the callback does afterwards can't be part of it.
+                if(!isCallbackSettled) {
+                    reject(new LocalDatabaseError(`Error in LocalDatabase.transaction for tables (${tables.join(", ")}): The transaction was committed before the callback finished, because the callback awaited something other than the operations of tx (such as a timer or a fetch). The changes made before that were already committed, and any made after it failed.`));
+                    return;
+                }
+                pending.then(success, reject);
+            }
+            txn.onabort = event => {
+                isFinished = true;
+                if(callbackError) {
+                    reject(callbackError);
+                    return;
+                }
+                reject(LocalDatabase._toError(`Error in LocalDatabase.transaction for tables (${tables.join(", ")})`, event.target.error));
+            }
+        })
+    }
+
+    /**
+     * Creates the operations that run inside of an existing transaction.
+     * @param {IDBTransaction} txn 
+     * @param {Array.<String>} tables The names of the tables that are part of the transaction.
+     * @returns {TransactionScope}
+     */
+    _createScope(txn, tables) {
+        /**
+         * Makes sure a table is part of this transaction.
+         * @param {String} table 
+         */
+        const checkTable = table => {
+            if(!tables.includes(table)) throw new UnknownTableError(`Error in LocalDatabase.transaction: The specified table (${table}) is not part of this transaction. Add it to the tables passed to \`LocalDatabase.transaction\`.`, { table });
+        }
+        return {
+            add: (table, object, options = {}) => Promise.resolve().then(() => checkTable(table)).then(() => this._add(txn, table, object, { upsert: true, ...options })),
+            multiAdd: (table, objects, options = {}) => Promise.resolve().then(() => checkTable(table)).then(() => this._addMany(txn, table, objects, { upsert: true, ...options })),
+            select: (table, query = {}, options = {}) => Promise.resolve().then(() => checkTable(table)).then(() => this._select(txn, table, query, options)),
+            update: (table, query, changes) => Promise.resolve().then(() => checkTable(table)).then(() => this._update(txn, table, query, changes)),
+            delete: (table, query) => Promise.resolve().then(() => checkTable(table)).then(() => this._delete(txn, table, query)),
+            restore: (table, query = {}) => Promise.resolve().then(() => checkTable(table)).then(() => this._restore(txn, table, query)),
+            purge: (table, query = {}) => Promise.resolve().then(() => checkTable(table)).then(() => this._purge(txn, table, query))
+        };
+    }
+
+    /**
+     * The hooks added with `hook`, by hook name.
+     * @type {Object.<Array.<{table: String, handler: Function, tables: Array.<String>}>>}
+     */
+    _hooks = {};
+
+    /**
+     * The middleware added with `use`, outermost first.
+     * @type {Array.<Function>}
+     */
+    _middleware = [];
+
+    /**
+     * @typedef HookContext
+     * @property {String} table The name of the table the hook is running for.
+     * @property {TransactionScope} tx The operations of the transaction the hook is running in. Use it to read or write other rows as part of the same change.
+     * @property {Object} [options] The options of the add or select.
+     * @property {*} [query] The query of the select or delete. Given to afterSelect and afterDelete hooks.
+     * @property {*} [key] The key of the row that was written. Given to afterAdd hooks.
+     * @property {Boolean} [isUpdate] True if an existing row was replaced. Given to afterAdd hooks.
+     */
+
+    /**
+     * Adds a hook, run whenever rows of a table are added, deleted or selected. Hooks can also be given to a table with the `hooks` option of its TableSchema.
+     * 
+     * Each hook is called with a value and a HookContext, and may return (or resolve with) a replacement value:
+     * - `beforeAdd(row)` runs before each row is checked and written. Return the row to write.
+     * - `afterAdd(row)` runs after each row is written. What it returns is ignored.
+     * - `beforeDelete(query)` runs before a delete. Return the query to delete with.
+     * - `afterDelete(rows)` runs after a delete with the rows that were deleted. What it returns is ignored.
+     * - `beforeSelect(query)` runs before a select or paginate. Return the query to select with.
+     * - `afterSelect(rows)` runs after a select or paginate. Return the rows to resolve with.
+     * 
+     * Hooks run inside the transaction of the operation, so throwing (or rejecting) vetoes it and rolls back every change it made.
+     * Before hooks are given a copy of the row or query, so the one passed to the operation is never changed.
+     * 
+     * @note IndexedDB commits a transaction as soon as it has nothing left to do. Only await the operations of `context.tx` inside of a hook, not timers, fetches or other databases.
+     * @example const stop = LocalDatabase.hook("beforeAdd", "PersonsTable", person => ({ ...person, email: person.email.toLowerCase() }));
+     * @example LocalDatabase.hook("afterAdd", "*", (row, { table, key, tx }) => tx.add("AuditTable", { table, key, at: new Date() }), { tables: ["AuditTable"] });
+     * @param {String} name One of: beforeAdd, afterAdd, beforeDelete, afterDelete, beforeSelect, afterSelect.
+     * @param {String} table The name of the table, or "*" for every table.
+     * @param {Function} handler Called with the value and a HookContext.
+     * @param {{tables: Array.<String>}} [options] `tables` names the other tables the hook uses, so they are made part of its transactions.
+     * @returns {Function} Call to remove the hook.
+     */
+    hook(name, table, handler, options = {}) {
+        const { tables = [] } = options;
+        if(!TableSchema.hookNames.includes(name)) throw new LocalDatabaseError(`Error in LocalDatabase.hook: Unknown hook (${name}). Use one of: ${TableSchema.hookNames.join(", ")}.`);
+        if(typeof handler !== "function") throw new LocalDatabaseError("Error in LocalDatabase.hook: The handler must be a function.");
+        if(!table) throw new UnknownTableError("Error in LocalDatabase.hook: No table defined. Pass \"*\" to run the hook for every table.");
+        // Hooks may be added before the database is initialised, in which case their tables are checked once they are used
+        if(this.schema) {
+            for(const hookTable of table === "*" ? tables : [table, ...tables]) {
+                if(!this.schema.tableNames.includes(hookTable)) throw new UnknownTableError(`Error in LocalDatabase.hook: The specified table (${hookTable}) was not found in the schema used to initialise the database.`, { table: hookTable });
+            }
+        }
+
+        if(!this._hooks[name]) this._hooks[name] = [];
+        this._hooks[name].push({ table, handler, tables });
+        return () => this.unhook(name, table, handler);
+    }
+
+    /**
+     * Removes a hook added with `hook`.
+     * @param {String} name 
+     * @param {String} table The table the hook was added for.
+     * @param {Function} handler The handler passed to `hook`.
+     */
+    unhook(name, table, handler) {
+        const hooks = this._hooks[name];
+        if(!hooks) return;
+        const index = hooks.findIndex(hook => hook.table === table && hook.handler === handler);
+        if(index !== -1) hooks.splice(index, 1);
+    }
+
+    /**
+     * Gets the handlers of a hook for a table: the hooks of its TableSchema first, then the hooks added with `hook` in the order they were added.
+     * @param {String} name 
+     * @param {String} table 
+     * @returns {Array.<Function>}
+     */
+    _getHooks(name, table) {
+        const tableSchema = this.schema.tableMap[table];
+        const added = (this._hooks[name] || []).filter(hook => hook.table === "*" || hook.table === table).map(hook => hook.handler);
+        return [...(tableSchema.hooks[name] || []), ...added];
+    }
+
+    /**
+     * Works out the other tables the hooks of a table use.
+     * @param {String} table 
+     * @param {Array.<String>} names The names of the hooks.
+     * @returns {Array.<String>}
+     */
+    _getHookTables(table, names) {
+        const tableSchema = this.schema.tableMap[table];
+        const hasOwnHooks = names.some(name => tableSchema.hooks[name]);
+        const added = names.flatMap(name => (this._hooks[name] || []).filter(hook => hook.table === "*" || hook.table === table));
+        return [...new Set([...(hasOwnHooks ? tableSchema.hookTables : []), ...added.flatMap(hook => hook.tables)])]
+            .filter(hookTable => this.schema.tableNames.includes(hookTable));
+    }
+
+    /**
+     * Passes a value through the handlers of a hook for a table, one after the other, inside of an existing transaction.
+     * @param {String} name 
+     * @param {IDBTransaction} txn 
+     * @param {String} table 
+     * @param {*} value The row, rows or query.
+     * @param {Object} context Added to the HookContext.
+     * @returns {Promise} Resolves with the value returned by the last handler. Handlers that return undefined keep the value they were given.
+     */
+    _runHooks(name, txn, table, value, context) {
+        const handlers = this._getHooks(name, table);
+        if(handlers.length === 0) return Promise.resolve(value);
+        const tx = this._createScope(txn, Array.from(txn.objectStoreNames));
+        // The rows given to afterAdd and afterDelete hooks have already been written, so what those hooks return is ignored
+        const isReplaceable = !["afterAdd", "afterDelete"].includes(name);
+        const start = name.startsWith("before") ? Promise.resolve().then(() => structuredClone(value)) : Promise.resolve(value);
+        return handlers.reduce((previous, handler) => previous.then(value => 
+            Promise.resolve(handler(value, { ...context, table, tx })).then(result => isReplaceable && result !== undefined ? result : value)
+        ), start);
+    }
+
+    /**
+     * @typedef Operation
+     * @property {String} method The name of the method, such as "add" or "select".
+     * @property {String} [table] The name of the table it uses. Not set for `transaction`, `export` and `import`.
+     * @property {Array.<String>} [tables] The names of the tables it uses. Only set for `transaction`.
+     * @property {Array} args The arguments it was called with.
+     */
+
+    /**
+     * Adds middleware, which wraps every operation: `add`, `multiAdd`, `select`, `paginate`, `count`, `aggregate`, `distinct`, `update`, `delete`, `restore`, `purge`, `transaction`, `export`, `import`, `exportCSV` and `importCSV`.
+     * 
+     * Middleware is called with an Operation and a `next` function that runs the operation (and the middleware added after it), resolving with its result.
+     * Whatever the middleware returns (or resolves with) is what the operation resolves with, so it can time, log, change or veto operations.
+     * Middleware runs in the order it was added, the first wrapping all the others.
+     * @example
+     * LocalDatabase.use(async (operation, next) => {
+     *     const start = performance.now();
+     *     try {
+     *         return await next();
+     *     } finally {
+     *         console.log(`${operation.method} ${operation.table || ""} took ${performance.now() - start} ms`);
+     *     }
+     * });
+     * @param {Function} middleware Called with an Operation and `next`.
+     * @returns {Function} Call to remove the middleware.
+     */
+    use(middleware) {
+        if(typeof middleware !== "function") throw new LocalDatabaseError("Error in LocalDatabase.use: The middleware must be a function.");
+        this._middleware.push(middleware);
+        return () => {
+            const index = this._middleware.indexOf(middleware);
+            if(index !== -1) this._middleware.splice(index, 1);
+        }
+    }
+
+    /**
+     * Runs an operation through the middleware.
+     * @param {Operation} operation 
+     * @param {Function} run Runs the operation, returning a promise.
+     * @returns {Promise}
+     */
+    _callMiddleware(operation, run) {
+        if(this._middleware.length === 0) return run();
+        // Copy the middleware, so middleware added or removed while an operation runs doesn't change its chain
+        const middleware = [...this._middleware];
+        const call = position => {
+            if(position === middleware.length) return run();
+            let isCalled = false;
+            return Promise.resolve().then(() => middleware[position](operation, () => {
+                if(isCalled) return Promise.reject(new LocalDatabaseError(`Error in LocalDatabase.use: The middleware called next() more than once for LocalDatabase.${operation.method}.`));
+                isCalled = true;
+                return call(position + 1);
+            }));
+        }
+        return call(0);
+    }
+
+    /**
+     * @typedef ChangedRow
+     * @property {*} key The key of the row.
+     * @property {Object} row The row as it was written, or as it was before being deleted.
+     */
+
+    /**
+     * @typedef ChangeEvent
+     * @property {String} table The name of the table that changed.
+     * @property {Array.<ChangedRow>} inserted The rows that were added.
+     * @property {Array.<ChangedRow>} updated The rows that were replaced or changed.
+     * @property {Array.<ChangedRow>} deleted The rows that were deleted.
+     * @property {Boolean} [remote] True if the changes were made in another tab.
+     */
+
+    /**
+     * The change handlers of each table, by table name.
+     * @type {Object.<Array.<Function>>}
+     */
+    _changeHandlers = {};
+
+    /**
+     * The changes made by each unfinished transaction, by table name. They are handed to the change handlers once the transaction completes.
+     * @type {WeakMap.<IDBTransaction, Object.<ChangeEvent>>}
+     */
+    _pendingChanges = new WeakMap();
+
+    /**
+     * Listens for changes to a table. The handler is called with a ChangeEvent once the changes have been committed.
+     * Changes that are rolled back are never reported.
+     * @example const stop = LocalDatabase.on("change", "PersonsTable", change => console.log(change.inserted, change.updated, change.deleted));
+     * @param {String} event The event to listen for. Only "change" is supported.
+     * @param {String} table 
+     * @param {Function} handler Called with a ChangeEvent.
+     * @returns {Function} Call to stop listening.
+     */
+    on(event, table, handler) {
+        if(event !== "change") throw new LocalDatabaseError(`Error in LocalDatabase.on: Unknown event (${event}). Only "change" is supported.`);
+        this._checkTable("on", table);
+        if(typeof handler !== "function") throw new LocalDatabaseError("Error in LocalDatabase.on: The handler must be a function.");
+
+        if(!this._changeHandlers[table]) this._changeHandlers[table] = [];
+        this._changeHandlers[table].push(handler);
+        this._announceWatching();
+        return () => this.off(event, table, handler);
+    }
+
+    /**
+     * Stops listening for changes to a table.
+     * @param {String} event The event that was listened for. Only "change" is supported.
+     * @param {String} table 
+     * @param {Function} handler The handler passed to `on`.
+     */
+    off(event, table, handler) {
+        if(event !== "change") throw new LocalDatabaseError(`Error in LocalDatabase.off: Unknown event (${event}). Only "change" is supported.`);
+        const handlers = this._changeHandlers[table];
+        if(!handlers) return;
+        const index = handlers.indexOf(handler);
+        if(index === -1) return;
+        handlers.splice(index, 1);
+        this._announceWatching();
+    }
+
+    /**
+     * @typedef LiveOptions
+     * The same as `SelectOptions`, plus:
+     * @property {Function} [onError] Called with the error whenever the query fails (a `LocalDatabaseError`) or the callback throws. The query runs again on the next relevant change. Without it, the error is logged to the console.
+     */
+
+    /**
+     * Runs a query now and again whenever a change to the table could change its result, passing the rows to the callback each time.
+     * @example const stop = LocalDatabase.live("PersonsTable", { age: { $gte: 18 } }, adults => render(adults), { onError: error => showError(error) });
+     * @param {String} table 
+     * @param {*} query The same as a `select` query.
+     * @param {Function} callback Called with the rows matching the query.
+     * @param {LiveOptions} [options] 
+     * @returns {Function} Call to stop the query.
+     */
+    live(table, query, callback, options = {}) {
+        this._checkTable("live", table);
+        if(typeof callback !== "function") throw new LocalDatabaseError("Error in LocalDatabase.live: The callback must be a function.");
+        const { onError, ...selectOptions } = options;
+        if(onError !== undefined && typeof onError !== "function") throw new LocalDatabaseError("Error in LocalDatabase.live: The onError option must be a function.");
+        const tableSchema = this.schema.tableMap[table];
+        let resultIds = new Set();
+        let isStopped = false;
+        let isRunning = false;
+        let isStale = false;
+
+        const run = () => {
+            if(isStopped) return;
+            // Only run one query at a time, running again afterwards if something changed in the meantime
+            if(isRunning) {
+                isStale = true;
+                return;
+            }
+            isRunning = true;
+            this.select(table, query, selectOptions).then(rows => {
+                if(isStopped) return;
+                resultIds = new Set(rows.map(row => LocalDatabase._keyId(LocalDatabase._getKey(tableSchema, row))));
+                callback(rows);
+            }).catch(error => {
+                if(isStopped) return;
+                if(!onError) {
+                    console.error(`Error in LocalDatabase.live for table (${table}). Pass an onError option to handle it. Query, Error:`, query, error);
+                    return;
+                }
+                try {
+                    onError(error);
+                } catch (handlerError) {
+                    console.error(`Error in LocalDatabase.live for table (${table}). The onError handler threw. Error, Handler error:`, error, handlerError);
+                }
+            }).then(() => {
+                isRunning = false;
+                if(isStale) {
+                    isStale = false;
+                    run();
+                }
+            });
+        }
+        // A change matters if it touches a row in the current result, or a row that now matches the query
+        const stopListening = this.on("change", table, change => {
+            const isRelevant = [...change.inserted, ...change.updated, ...change.deleted]
+                .some(({ key, row }) => resultIds.has(LocalDatabase._keyId(key)) || LocalDatabase._matches(tableSchema, row, query));
+            if(isRelevant) run();
+        });
+        run();
+
+        return () => {
+            isStopped = true;
+            stopListening();
+        }
+    }
+
+    /**
+     * Returns true if anything is listening for changes to a table.
+     * @param {String} table 
+     * @returns {Boolean}
+     */
+    _isWatched(table) {
+        const isWatchedHere = Boolean(this._changeHandlers[table] && this._changeHandlers[table].length > 0);
+        return isWatchedHere || Boolean(this._remoteWatchers[table] && this._remoteWatchers[table].size > 0);
+    }
+
+    /**
+     * Notes a change made inside of a transaction, so it can be reported once the transaction completes.
+     * @param {IDBTransaction} txn 
+     * @param {String} table 
+     * @param {String} type "inserted", "updated" or "deleted".
+     * @param {*} key 
+     * @param {Object} row 
+     */
+    _recordChange(txn, table, type, key, row) {
+        if(!this._isWatched(table)) return;
+        if(!this._pendingChanges.has(txn)) this._pendingChanges.set(txn, {});
+        const changes = this._pendingChanges.get(txn);
+        if(!changes[table]) changes[table] = { table, inserted: [], updated: [], deleted: [] };
+        changes[table][type].push({ key, row });
+    }
+
+    /**
+     * Hands the changes made by a completed transaction to the change handlers, in this tab and others.
+     * @param {IDBTransaction} txn 
+     */
+    _emitChanges(txn) {
+        const changes = this._pendingChanges.get(txn);
+        if(!changes) return;
+        this._pendingChanges.delete(txn);
+        Object.values(changes).forEach(change => this._callHandlers(change));
+        if(!this._channel) return;
+        try {
+            this._channel.postMessage({ type: "change", senderId: this._senderId, changes: Object.values(changes) });
+        } catch (error) {
+            console.error("Error in LocalDatabase.on: The changes could not be sent to other tabs. Changes, Error:", changes, error);
+        }
+    }
+
+    /**
+     * Calls the change handlers of the table that changed.
+     * @param {ChangeEvent} change 
+     */
+    _callHandlers(change) {
+        // Copy the handlers, as handlers may stop listening while being called
+        for(const handler of [...(this._changeHandlers[change.table] || [])]) {
+            try {
+                handler(change);
+            } catch (error) {
+                console.error(`Error in LocalDatabase.on for table (${change.table}). A change handler threw. Change, Error:`, change, error);
+            }
+        }
+    }
+
+    /**
+     * Called when another tab needs this tab to let go of the database, such as to upgrade it to a newer version.
+     * By the time this is called the database has already been closed in this tab, so replace this to ask the user to reload.
+     * @example LocalDatabase.onVersionChange = () => showBanner("A new version of this page is ready. Please reload!");
+     * @type {Function}
+     */
+    onVersionChange = event => {
+        console.warn("A new version of this page is ready. Please reload or close this tab!", event);
+    }
+
+    /**
+     * True while this tab is the leader. See `becomeLeader`.
+     * @type {Boolean}
+     */
+    isLeader = false;
+
+    /**
+     * A random id for this instance, so its messages can be told apart from those of other tabs (and other instances with the same database open in this tab).
+     * @type {String}
+     */
+    _senderId = Math.random().toString(36).slice(2);
+
+    /**
+     * The channel used to talk to other tabs with the same database open. Null if the browser has no BroadcastChannel.
+     * @type {BroadcastChannel|null}
+     */
+    _channel = null;
+
+    /**
+     * The ids of the other tabs (or instances) listening for changes to each table, by table name.
+     * @type {Object.<Set.<String>>}
+     */
+    _remoteWatchers = {};
+
+    /**
+     * This tab's bid to be the leader. `elected` resolves once it is, and aborting `controller` stops waiting or gives up leadership. Null if this tab is not the leader or waiting to be.
+     * @type {{controller: AbortController, elected: Promise}|null}
+     */
+    _leadership = null;
+
+    /**
+     * Waits until this tab is the leader, for work that only one tab should do at a time (such as syncing with a server).
+     * 
+     * Only one tab with the database open is the leader at a time. When the leader closes the database or the tab, one of the tabs waiting takes over.
+     * Rejects with a `LocalDatabaseError` if the browser has no Web Locks API, as tabs can't then be kept from leading at the same time.
+     * Also rejects with a `LocalDatabaseError` if the database is closed in this tab while waiting.
+     * @example LocalDatabase.becomeLeader().then(() => startSyncing());
+     * @returns {Promise} Resolves once this tab is the leader.
+     * @async
+     */
+    becomeLeader() {
+        try {
+            this._checkInitialised("becomeLeader");
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        if(this._leadership) return this._leadership.elected;
+        if(typeof navigator === "undefined" || !navigator.locks) {
+            return Promise.reject(new LocalDatabaseError("Error in LocalDatabase.becomeLeader: This browser has no Web Locks API (navigator.locks), so it can't make sure only one tab is the leader."));
+        }
+
+        const controller = new AbortController();
+        const elected = new Promise((success, reject) => {
+            // The lock is held, and this tab stays the leader, until the promise returned to it settles
+            navigator.locks.request(`LocalDatabase:${this.schema.name}:leader`, { signal: controller.signal }, () => new Promise(release => {
+                this.isLeader = true;
+                controller.signal.addEventListener("abort", () => release());
+                success();
+            })).catch(error => {
+                // Aborted while waiting, because the database was closed in this tab
+                if(error && error.name === "AbortError") {
+                    reject(new LocalDatabaseError(`Error in LocalDatabase.becomeLeader: Database (${this.schema.name}) was closed before this tab became the leader.`, { cause: error }));
+                    return;
+                }
+                reject(error);
+            });
+        });
+        this._leadership = { controller, elected };
+        return elected;
+    }
+
+    /**
+     * Closes the database in this tab, giving up leadership and no longer hearing about changes from other tabs.
+     * `init` has to be run again before using the database.
+     */
+    close() {
+        if(this._leadership) {
+            this._leadership.controller.abort();
+            this._leadership = null;
+            this.isLeader = false;
+        }
+        if(this._channel) {
+            this._channel.postMessage({ type: "bye", senderId: this._senderId });
+            this._channel.close();
+            this._channel = null;
+            this._remoteWatchers = {};
+        }
+        if(this.connection) {
+            this.connection.close();
+            this.connection = undefined;
+        }
+    }
+
+    /**
+     * Starts talking to other tabs with the same database open, so changes made in one tab reach the change listeners of the others.
+     * @param {String} name The name of the database.
+     */
+    _openChannel(name) {
+        if(typeof BroadcastChannel === "undefined") return;
+        if(this._channel) this._channel.close();
+        this._remoteWatchers = {};
+        this._channel = new BroadcastChannel(`LocalDatabase:${name}`);
+        this._channel.onmessage = event => this._receive(event.data);
+        // Find out which tables the other tabs are listening to
+        this._channel.postMessage({ type: "hello", senderId: this._senderId });
+        this._announceWatching();
+    }
+
+    /**
+     * Handles a message from another tab.
+     * 
+     * Tabs say "hello" when they open the database and "bye" when they close it, and announce which tables they are listening to with "watch".
+     * Changes are only sent to other tabs as "change" messages when one of them is listening, so tabs nobody is watching don't pay for reading deleted rows.
+     * @param {{type: String, senderId: String, tables: Array.<String>, changes: Array.<ChangeEvent>}} message 
+     */
+    _receive(message) {
+        if(!message || message.senderId === this._senderId) return;
+        const forgetSender = () => Object.values(this._remoteWatchers).forEach(senderIds => senderIds.delete(message.senderId));
+        switch(message.type) {
+            case "hello":
+                this._announceWatching();
+                break;
+            case "watch":
+                forgetSender();
+                for(const table of message.tables) {
+                    if(!this._remoteWatchers[table]) this._remoteWatchers[table] = new Set();
+                    this._remoteWatchers[table].add(message.senderId);
+                }
+                break;
+            case "bye":
+                forgetSender();
+                break;
+            case "change":
+                message.changes.forEach(change => this._callHandlers({ ...change, remote: true }));
+                break;
+        }
+    }
+
+    /**
+     * Tells the other tabs which tables this tab is listening to.
+     */
+    _announceWatching() {
+        if(!this._channel) return;
+        const tables = Object.keys(this._changeHandlers).filter(table => this._changeHandlers[table].length > 0);
+        this._channel.postMessage({ type: "watch", senderId: this._senderId, tables });
+    }
+
+    /**
+     * The version of the format written by `export`. Increased whenever the format changes, so older dumps can still be read.
+     * @type {Number}
+     */
+    static exportFormatVersion = 1;
+
+    /**
+     * @typedef ExportOptions
+     * @property {String} [format] "json" for a single JSON document (default), or "ndjson" for one JSON value per line (the database first, then one line per row) which can be written and read a line at a time.
+     */
+
+    /**
+     * Reads the schema and every row of the database into a dump that `import` can restore, here or in another browser.
+     * 
+     * Every table is read in the same transaction, so the dump is a consistent snapshot.
+     * Dates, Blobs, Files, ArrayBuffers, typed arrays, Maps, Sets, BigInts, RegExps, NaN, Infinity and undefined are encoded so they survive JSON.
+     * @example const dump = await LocalDatabase.export();
+     * @param {ExportOptions} [options] 
+     * @returns {Promise.<String>}
+     * @async
+     */
+    export(options = {}) {
+        return this._callMiddleware({ method: "export", args: [options] }, () => {
+            const { format = "json" } = options;
+            try {
+                this._checkInitialised("export");
+                if(!["json", "ndjson"].includes(format)) throw new LocalDatabaseError(`Error in LocalDatabase.export: Unknown format (${format}). Use "json" or "ndjson".`);
+            } catch (error) {
+                return Promise.reject(error);
+            }
+            const tableNames = [...this.connection.objectStoreNames];
+            const reading = tableNames.length === 0 ? Promise.resolve({ database: { name: this.schema.name, version: LocalDatabase._toSchemaVersion(this.connection.version), tables: {} }, rows: {} }) : new Promise((success, reject) => {
+                const txn = this.connection.transaction(tableNames, "readonly");
+                const database = { name: this.schema.name, ...LocalDatabase._describeDatabase(this.connection, txn) };
+                const rows = {};
+                for(const tableName of tableNames) {
+                    txn.objectStore(tableName).getAll().onsuccess = event => {
+                        rows[tableName] = event.target.result;
+                    }
+                }
+                txn.oncomplete = () => success({ database, rows });
+                txn.onabort = event => reject(LocalDatabase._toError("Error in LocalDatabase.export", event.target.error));
+            });
+
+            // Blobs can only be read asynchronously, so they are read up front and encoded with the rest of the rows
+            return reading.then(({ database, rows }) => LocalDatabase._readBlobs(rows).then(blobBytes => {
+                const header = { format: "LocalDatabase", formatVersion: LocalDatabase.exportFormatVersion, exportedAt: new Date().toISOString(), database };
+                if(format === "json") {
+                    const encodedRows = {};
+                    for(const [tableName, tableRows] of Object.entries(rows)) {
+                        encodedRows[tableName] = tableRows.map(row => LocalDatabase._encodeValue(row, blobBytes));
+                    }
+                    return JSON.stringify({ ...header, rows: encodedRows });
+                }
+                const lines = [JSON.stringify(header)];
+                for(const [tableName, tableRows] of Object.entries(rows)) {
+                    for(const row of tableRows) {
+                        lines.push(JSON.stringify({ table: tableName, row: LocalDatabase._encodeValue(row, blobBytes) }));
+                    }
+                }
+                return lines.join("\n") + "\n";
+            }));
+        });
+    }
+
+    /**
+     * @typedef ImportOptions
+     * @property {String} [mode] "replace" to empty each table in the dump before restoring its rows (default), or "merge" to keep the rows already there and replace only the rows with the same key.
+     * @property {Function} [onProgress] Called with an ImportProgress each time a table has been restored.
+     */
+
+    /**
+     * @typedef ImportProgress
+     * @property {String} table The table that was just restored.
+     * @property {Number} imported The number of rows restored so far, in every table.
+     * @property {Number} total The number of rows in the dump.
+     */
+
+    /**
+     * @typedef ImportResult
+     * @property {Number} imported The number of rows restored.
+     * @property {Object.<Number>} tables The number of rows restored in each table.
+     */
+
+    /**
+     * Restores a dump made by `export`.
+     * 
+     * The dump is checked against the schema of this database first: every table in it must be in the schema with the same key column, and it must not come from a newer version of the database.
+     * Each table is restored in its own transaction, so if a table fails the tables before it stay restored.
+     * Rows are restored as they were, without filling in defaults, checking them against their columns or references, or running hooks.
+     * Tables in the schema but not in the dump are left as they are.
+     * @example await LocalDatabase.import(dump, { mode: "merge", onProgress: ({ imported, total }) => console.log(`${imported} / ${total}`) });
+     * @param {String|Object} dump The JSON or NDJSON text made by `export`, or the parsed JSON.
+     * @param {ImportOptions} [options] 
+     * @returns {Promise.<ImportResult>}
+     * @async
+     */
+    import(dump, options = {}) {
+        return this._callMiddleware({ method: "import", args: [dump, options] }, () => {
+            const { mode = "replace", onProgress } = options;
+            let tables;
+            try {
+                this._checkInitialised("import");
+                if(!["replace", "merge"].includes(mode)) throw new LocalDatabaseError(`Error in LocalDatabase.import: Unknown mode (${mode}). Use "replace" or "merge".`);
+                if(onProgress !== undefined && typeof onProgress !== "function") throw new LocalDatabaseError("Error in LocalDatabase.import: onProgress must be a function.");
+
+                const { database, rows } = LocalDatabase._parseDump(dump);
+                if(database.version > this.version) 
+                    throw new VersionError(`Error in LocalDatabase.import: The dump was exported from version ${database.version} of database (${database.name}), which is newer than this one (${this.version}). Upgrade the app before importing it.`, { database: database.name, version: database.version });
+                const diff = LocalDatabase._diffSchema(this.schema, database);
+                const problems = [
+                    ...diff.dropTables.map(tableName => `Table (${tableName}) is in the dump but not in the schema.`),
+                    ...diff.recreateTables.map(table => `Table (${table.name}) has the key column (${database.tables[table.name].keyPath}${database.tables[table.name].autoIncrement ? ", auto increment" : ""}) in the dump but (${table.keyColumn.name}${table.autoIncrement ? ", auto increment" : ""}) in the schema.`)
+                ];
+                if(problems.length > 0) throw new LocalDatabaseError(`Error in LocalDatabase.import: The dump does not fit the schema of this database.\n${problems.join("\n")}`);
+
+                tables = Object.entries(rows).map(([tableName, tableRows]) => [tableName, tableRows.map(row => LocalDatabase._decodeValue(row))]);
+            } catch (error) {
+                return Promise.reject(error);
+            }
+            const total = tables.reduce((sum, [, tableRows]) => sum + tableRows.length, 0);
+            const result = { imported: 0, tables: {} };
+            // Restore the tables one after the other
+            return tables.reduce((previous, [tableName, tableRows]) => previous.then(() => new Promise((success, reject) => {
+                const txn = this.connection.transaction(tableName, "readwrite");
+                const store = txn.objectStore(tableName);
+                if(mode === "replace") {
+                    // Only read the rows being cleared if something is listening for them
+                    if(this._isWatched(tableName)) {
+                        const tableSchema = this.schema.tableMap[tableName];
+                        store.getAll().onsuccess = event => event.target.result.forEach(row => this._recordChange(txn, tableName, "deleted", LocalDatabase._getKey(tableSchema, row), row));
+                    }
+                    store.clear();
+                }
+                Promise.all(tableRows.map(row => this._write(txn, tableName, row, { upsert: true }, "Error in LocalDatabase.import"))).catch(reject);
+
+                txn.oncomplete = () => {
+                    this._emitChanges(txn);
+                    result.imported += tableRows.length;
+                    result.tables[tableName] = tableRows.length;
+                    if(onProgress) onProgress({ table: tableName, imported: result.imported, total });
+                    success();
+                }
+                txn.onabort = event => reject(LocalDatabase._toError("Error in LocalDatabase.import", event.target.error, { table: tableName }));
+            })), Promise.resolve()).then(() => result);
+        });
+    }
+
+    /**
+     * Reads a dump made by `export`, checking that it is one.
+     * @param {String|Object} dump JSON or NDJSON text, or parsed JSON.
+     * @returns {{database: DatabaseSnapshot, rows: Object.<Array.<Object>>}} The rows are still encoded.
+     */
+    static _parseDump(dump) {
+        let header = dump;
+        let rows = dump && dump.rows;
+        if(typeof dump === "string") {
+            try {
+                header = JSON.parse(dump);
+                rows = header && header.rows;
+            } catch (error) {
+                // Not a single JSON document, so read it as NDJSON: the header, then a line per row
+                let lines;
+                try {
+                    lines = dump.split("\n").filter(line => line.trim() !== "").map(line => JSON.parse(line));
+                } catch (lineError) {
+                    throw new LocalDatabaseError("Error in LocalDatabase.import: The dump is neither JSON nor NDJSON.");
+                }
+                header = lines[0];
+                rows = {};
+                for(const { table, row } of lines.slice(1)) {
+                    if(!rows[table]) rows[table] = [];
+                    rows[table].push(row);
+                }
+            }
+        }
+        if(!header || header.format !== "LocalDatabase" || !header.database) throw new LocalDatabaseError("Error in LocalDatabase.import: The dump was not made by `LocalDatabase.export`.");
+        if(header.formatVersion > LocalDatabase.exportFormatVersion) throw new LocalDatabaseError(`Error in LocalDatabase.import: The dump is in version ${header.formatVersion} of the export format, but only versions up to ${LocalDatabase.exportFormatVersion} can be read. Update LocalDatabase to import it.`);
+        rows = rows || {};
+        const unknownTable = Object.keys(rows).find(tableName => !header.database.tables[tableName]);
+        if(unknownTable !== undefined) throw new LocalDatabaseError(`Error in LocalDatabase.import: The dump has rows for table (${unknownTable}), which is not in the database it describes.`);
+        return { database: header.database, rows };
+    }
+
+    /**
+     * The typed arrays that `_encodeValue` can encode, by name.
+     * @type {Array.<String>}
+     */
+    static _typedArrays = ["Int8Array", "Uint8Array", "Uint8ClampedArray", "Int16Array", "Uint16Array", "Int32Array", "Uint32Array", "Float32Array", "Float64Array", "BigInt64Array", "BigUint64Array", "DataView"];
+
+    /**
+     * Reads the contents of every Blob (and File) in a value.
+     * @param {*} value 
+     * @returns {Promise.<Map.<Blob, Uint8Array>>}
+     */
+    static _readBlobs(value) {
+        const blobs = new Set();
+        const findBlobs = element => {
+            if(typeof Blob !== "undefined" && element instanceof Blob) blobs.add(element);
+            else if(element instanceof Map || element instanceof Set || Array.isArray(element)) [...element].forEach(findBlobs);
+            else if(LocalDatabase._isPlainObject(element)) Object.values(element).forEach(findBlobs);
+        }
+        findBlobs(value);
+        return Promise.all([...blobs].map(blob => blob.arrayBuffer().then(buffer => [blob, new Uint8Array(buffer)])))
+            .then(entries => new Map(entries));
+    }
+
+    /**
+     * Turns a value into something that survives `JSON.stringify` and can be turned back by `LocalDatabase._decodeValue`.
+     * 
+     * Values JSON can't hold become `{ $type, value }`. Objects that have a `$type` of their own are wrapped as `{ $type: "Object", value }` so they aren't mistaken for one.
+     * @example LocalDatabase._encodeValue(new Date(0)) // Result: { $type: "Date", value: 0 }
+     * @param {*} value 
+     * @param {Map.<Blob, Uint8Array>} blobBytes The contents of the Blobs in the value, from `LocalDatabase._readBlobs`.
+     * @returns {*}
+     */
+    static _encodeValue(value, blobBytes) {
+        const encode = element => LocalDatabase._encodeValue(element, blobBytes);
+        if(value === undefined) return { $type: "undefined" };
+        if(typeof value === "bigint") return { $type: "BigInt", value: value.toString() };
+        if(typeof value === "number" && !Number.isFinite(value)) return { $type: "Number", value: String(value) };
+        if(value === null || typeof value !== "object") return value;
+        if(Array.isArray(value)) return value.map(encode);
+        if(value instanceof Date) return { $type: "Date", value: Number.isNaN(value.getTime()) ? null : value.getTime() };
+        if(value instanceof RegExp) return { $type: "RegExp", value: { source: value.source, flags: value.flags } };
+        if(value instanceof Map) return { $type: "Map", value: [...value].map(([key, element]) => [encode(key), encode(element)]) };
+        if(value instanceof Set) return { $type: "Set", value: [...value].map(encode) };
+        if(value instanceof ArrayBuffer) return { $type: "ArrayBuffer", value: LocalDatabase._toBase64(new Uint8Array(value)) };
+        if(ArrayBuffer.isView(value)) return { $type: value.constructor.name, value: LocalDatabase._toBase64(new Uint8Array(value.buffer, value.byteOffset, value.byteLength)) };
+        if(typeof Blob !== "undefined" && value instanceof Blob) {
+            // Blobs are read asynchronously, so their bytes must have been read beforehand with `_readBlobs`
+            if(!blobBytes.has(value)) throw new LocalDatabaseError("Error in LocalDatabase: A Blob can't be encoded here, as its contents can only be read asynchronously.");
+            const encoded = { $type: "Blob", value: LocalDatabase._toBase64(blobBytes.get(value)), mimeType: value.type };
+            if(typeof File !== "undefined" && value instanceof File) return { ...encoded, $type: "File", name: value.name, lastModified: value.lastModified };
+            return encoded;
+        }
+
+        const encoded = {};
+        for(const [key, element] of Object.entries(value)) {
+            encoded[key] = encode(element);
+        }
+        return Object.hasOwn(value, "$type") ? { $type: "Object", value: encoded } : encoded;
+    }
+
+    /**
+     * Turns a value encoded by `LocalDatabase._encodeValue` back into the original value.
+     * @param {*} encodedValue 
+     * @returns {*}
+     */
+    static _decodeValue(encodedValue) {
+        const decodeObject = encodedObject => {
+            const decoded = {};
+            for(const [key, element] of Object.entries(encodedObject)) {
+                decoded[key] = LocalDatabase._decodeValue(element);
+            }
+            return decoded;
+        }
+        if(Array.isArray(encodedValue)) return encodedValue.map(element => LocalDatabase._decodeValue(element));
+        if(encodedValue === null || typeof encodedValue !== "object") return encodedValue;
+        const { $type: type, value } = encodedValue;
+        if(type === undefined) return decodeObject(encodedValue);
+        if(LocalDatabase._typedArrays.includes(type)) return new globalThis[type](LocalDatabase._fromBase64(value).buffer);
+
+        switch(type) {
+            case "Object": return decodeObject(value);
+            case "undefined": return undefined;
+            case "BigInt": return BigInt(value);
+            case "Number": return Number(value);
+            case "Date": return new Date(value === null ? NaN : value);
+            case "RegExp": return new RegExp(value.source, value.flags);
+            case "Map": return new Map(value.map(([key, element]) => [LocalDatabase._decodeValue(key), LocalDatabase._decodeValue(element)]));
+            case "Set": return new Set(value.map(element => LocalDatabase._decodeValue(element)));
+            case "ArrayBuffer": return LocalDatabase._fromBase64(value).buffer;
+            case "Blob": return new Blob([LocalDatabase._fromBase64(value)], { type: encodedValue.mimeType });
+            case "File": return new File([LocalDatabase._fromBase64(value)], encodedValue.name, { type: encodedValue.mimeType, lastModified: encodedValue.lastModified });
+            default: throw new LocalDatabaseError(`Error in LocalDatabase.import: The dump holds a value of an unknown type (${type}).`);
+        }
+    }
+
+    /**
+     * Encodes bytes as base64 text.
+     * @param {Uint8Array} bytes 
+     * @returns {String}
+     */
+    static _toBase64(bytes) {
+        let binary = "";
+        // Converted in chunks, as passing too many arguments at once overflows the stack
+        for(let start = 0; start < bytes.length; start += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(start, start + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decodes base64 text into bytes.
+     * @param {String} text 
+     * @returns {Uint8Array}
+     */
+    static _fromBase64(text) {
+        return Uint8Array.from(atob(text), character => character.charCodeAt(0));
+    }
+
+    /**
+     * @typedef ExportCSVOptions
+     * @property {Array.<String>} [columns] The columns to export, in order. Use dot-paths for values inside of objects. Defaults to the columns of the table schema, with compound columns split into the columns they are made of.
+     * @property {Boolean} [withDeleted] If true, the deleted rows of a softDelete table are exported too.
+     */
+
+    /**
+     * Exports the rows matching the query as CSV text (RFC 4180), with the column names as the header.
+     * 
+     * Dates are written as ISO 8601 text, arrays and objects as JSON, and missing values as empty fields.
+     * @example const csv = await LocalDatabase.exportCSV("PersonsTable", { age: { $gte: 18 } }, { columns: ["id", "firstName", "age"] });
+     * @param {String} table 
+     * @param {*} [query] The same as a `select` query.
+     * @param {ExportCSVOptions} [options] 
+     * @returns {Promise.<String>}
+     * @async
+     */
+    exportCSV(table, query = {}, options = {}) {
+        return this._callMiddleware({ method: "exportCSV", table, args: [table, query, options] }, () => {
+            let columns;
+            try {
+                this._checkTable("exportCSV", table);
+                const tableSchema = this.schema.tableMap[table];
+                ({ columns = [...new Set([tableSchema.keyColumn, ...tableSchema.otherColumns].flatMap(column => column.isCompound ? column.keyPath : [column.keyPath]))] } = options);
+                if(!Array.isArray(columns) || columns.length === 0 || columns.some(column => typeof column !== "string")) throw new LocalDatabaseError("Error in LocalDatabase.exportCSV: columns must be an array of column names.", { table });
+            } catch (error) {
+                return Promise.reject(error);
+            }
+
+            return new Promise((success, reject) => {
+                const txn = this.connection.transaction(this._getSelectScope(table), "readonly");
+                this._select(txn, table, query, { withDeleted: options.withDeleted }).then(success).catch(reject);
+            }).catch(error => { throw LocalDatabase._toError("Error in LocalDatabase.exportCSV", error, { table, query }); }).then(rows => [columns, ...rows.map(row => columns.map(column => LocalDatabase._getValue(row, column)))]
+                .map(cells => cells.map(cell => LocalDatabase._toCSVField(cell)).join(","))
+                .join("\r\n") + "\r\n");
+        });
+    }
+
+    /**
+     * @typedef ImportCSVOptions
+     * @property {Object.<String>} [mapping] The column each header of the CSV goes into, e.g. `{ "First Name": "firstName" }`. Map a header to null to leave it out. Headers that aren't mapped go into the column of the same name.
+     * @property {Boolean} [upsert] If true, rows with the key of an existing row replace it. Defaults to true.
+     */
+
+    /**
+     * @typedef CSVLineError
+     * @property {Number} line The line of the CSV text the row starts on. The header is line 1.
+     * @property {String} message What is wrong with the row.
+     */
+
+    /**
+     * @typedef ImportCSVResult
+     * @property {Number} inserted The number of rows that were added.
+     * @property {Number} updated The number of existing rows that were replaced.
+     * @property {Array.<CSVLineError>} errors The rows that were left out, and why.
+     */
+
+    /**
+     * Adds the rows of CSV text (RFC 4180) to a table. The first line is the header naming the column of each field.
+     * 
+     * Fields of columns with a `type` are converted to it: numbers, booleans (true/false, 1/0, yes/no), dates, and arrays or objects written as JSON. Empty fields are left out of the row.
+     * Fields of the key column, and of columns referencing another table, take the type of the key column they hold keys of if their column has none. Without that either, they are numbers if they look like one. Other fields are kept as text.
+     * Rows that can't be read, converted, validated or written (such as a row referencing a missing row, or with a value already in a unique column) are left out and reported in `errors`.
+     * Every other row is added in its own transaction. If the site runs out of storage space, the import rejects with a `QuotaExceededError` and the rows before it stay added.
+     * @example
+     * const { inserted, errors } = await LocalDatabase.importCSV("PersonsTable", file, { mapping: { "First Name": "firstName" } });
+     * errors.forEach(({ line, message }) => console.warn(`Line ${line}: ${message}`));
+     * @param {String} table 
+     * @param {String|Blob} csv The CSV text, or a Blob (such as a File from an `<input type="file">`) holding it.
+     * @param {ImportCSVOptions} [options] 
+     * @returns {Promise.<ImportCSVResult>}
+     * @async
+     */
+    importCSV(table, csv, options = {}) {
+        return this._callMiddleware({ method: "importCSV", table, args: [table, csv, options] }, () => {
+            const { mapping = {}, upsert = true } = options;
+            const isBlob = typeof Blob !== "undefined" && csv instanceof Blob;
+            try {
+                this._checkTable("importCSV", table);
+                if(typeof csv !== "string" && !isBlob) throw new LocalDatabaseError("Error in LocalDatabase.importCSV: The CSV must be text or a Blob.", { table });
+            } catch (error) {
+                return Promise.reject(error);
+            }
+            const tableSchema = this.schema.tableMap[table];
+
+            return (isBlob ? csv.text() : Promise.resolve(csv)).then(text => {
+                const [header, ...records] = LocalDatabase._parseCSV(text);
+                const errors = [];
+                // The rows that could be read, with the line each starts on
+                const rows = [];
+                if(!header) return { inserted: 0, updated: 0, errors };
+                if(header.error) throw new LocalDatabaseError(`Error in LocalDatabase.importCSV: The header could not be read. ${header.error}`, { table });
+                const paths = header.fields.map(name => Object.hasOwn(mapping, name) ? mapping[name] : name);
+
+                // Fields of key and reference columns without a type take the type of the keys they hold
+                const types = this._getCSVTypes(tableSchema, paths);
+                for(const record of records) {
+                    if(record.error) {
+                        errors.push({ line: record.line, message: record.error });
+                        continue;
+                    }
+                    if(record.fields.length !== paths.length) {
+                        errors.push({ line: record.line, message: `The row has ${record.fields.length} field(s), but the header has ${paths.length}.` });
+                        continue;
+                    }
+                    try {
+                        const row = {};
+                        record.fields.forEach((field, position) => {
+                            if(paths[position] === null || field === "") return;
+                            LocalDatabase._setValue(row, paths[position], LocalDatabase._fromCSVField(paths[position], field, types[position]));
+                        });
+                        rows.push({ line: record.line, row: LocalDatabase._prepareRows(tableSchema, [row], "Error in LocalDatabase.importCSV")[0] });
+                    } catch (error) {
+                        errors.push({ line: record.line, message: LocalDatabase._describeCSVLineError(error) });
+                    }
+                }
+
+                // Each row is written in its own transaction, so a row breaking a reference or a unique column only leaves out that row
+                const result = { inserted: 0, updated: 0, errors };
+                return rows.reduce((promise, { line, row }) => promise.then(() => this._runTransaction(this._getAddScope(table), tx => tx.multiAdd(table, [row], { upsert })).then(write => {
+                    result.inserted += write.inserted;
+                    result.updated += write.updated;
+                }, error => {
+                    if(error instanceof QuotaExceededError) throw error;
+                    errors.push({ line, message: LocalDatabase._describeCSVLineError(error) });
+                })), Promise.resolve()).then(() => {
+                    errors.sort((a, b) => a.line - b.line);
+                    return result;
+                });
+            });
+        });
+    }
+
+    /**
+     * Describes why a row of a CSV couldn't be added, for `importCSV` to report with its line.
+     * @param {Error} error 
+     * @returns {String}
+     */
+    static _describeCSVLineError(error) {
+        if(error instanceof ValidationError) {
+            return error.failures.map(failure => `Column (${failure.column}) ${failure.problems.join(", ")}${failure.value === undefined ? "" : `, not ${JSON.stringify(failure.value)}`}.`).join(" ");
+        }
+        // The line already says where the error happened, so the method, the IndexedDB error and "Nothing was written" are left off
+        return error.message.split("\n\n")[0]
+            .replace(/^Error in LocalDatabase\.\w+(?: for table \([^)]*\))?: /, "")
+            .replace(/ Nothing was written\.$/, "");
+    }
+
+    /**
+     * @typedef CSVRecord
+     * @property {Number} line The line the record starts on.
+     * @property {Array.<String>} fields 
+     * @property {String|null} error Why the record could not be read. Null if it was read.
+     */
+
+    /**
+     * Splits CSV text (RFC 4180) into records.
+     * 
+     * Fields may be quoted with `"`, in which case they can hold commas, line breaks and quotes written twice (`""`).
+     * Lines may end with CRLF or LF. Blank lines are skipped.
+     * A record that can't be read gets an error and the rest of its line is skipped, so the records after it can still be read.
+     * @example LocalDatabase._parseCSV('a,b\n1,"x, ""y"""') // Result: [{ line: 1, fields: ["a", "b"], error: null }, { line: 2, fields: ["1", 'x, "y"'], error: null }]
+     * @param {String} text 
+     * @returns {Array.<CSVRecord>}
+     */
+    static _parseCSV(text) {
+        const records = [];
+        let fields = [];
+        let field = "";
+        let error = null;
+        let line = 1;
+        let recordLine = 1;
+        // "start" of a field, inside an "unquoted" field, inside a "quoted" field, or "closed" after the closing quote
+        let state = "start";
+        const endRecord = () => {
+            fields.push(field);
+            // Blank lines are a single empty field
+            if(error || fields.length > 1 || fields[0] !== "" || state === "closed") records.push({ line: recordLine, fields, error });
+            fields = [];
+            field = "";
+            error = null;
+            state = "start";
+        }
+
+        // Spreadsheet programs often start files with a byte order mark
+        const csv = text.startsWith("\uFEFF") ? text.slice(1) : text;
+        for(let position = 0; position < csv.length; position++) {
+            const character = csv[position];
+            if(state === "quoted") {
+                if(character === "\"" && csv[position + 1] === "\"") {
+                    field += "\"";
+                    position++;
+                } else if(character === "\"") {
+                    state = "closed";
+                } else {
+                    if(character === "\n") line++;
+                    field += character;
+                }
+                continue;
+            }
+            if(character === "\r" && csv[position + 1] === "\n") continue;
+            if(character === "\n" || character === "\r") {
+                endRecord();
+                line++;
+                recordLine = line;
+                continue;
+            }
+            if(error) continue;
+            if(character === ",") {
+                fields.push(field);
+                field = "";
+                state = "start";
+            } else if(state === "closed") {
+                error = `Unexpected text (${character}) after the closing quote of field ${fields.length + 1}. Quote the whole field.`;
+            } else if(character === "\"" && state === "start") {
+                state = "quoted";
+            } else if(character === "\"") {
+                error = `Unexpected quote in field ${fields.length + 1}. Quote the whole field and write quotes inside it twice ("").`;
+            } else {
+                field += character;
+                state = "unquoted";
+            }
+        }
+        if(state === "quoted") error = `The quote opening field ${fields.length + 1} is never closed.`;
+        endRecord();
+        return records;
+    }
+
+    /**
+     * Writes a value as a CSV field, quoting it if needed.
+     * @param {*} value 
+     * @returns {String}
+     */
+    static _toCSVField(value) {
+        let text;
+        if(value === undefined || value === null) text = "";
+        else if(value instanceof Date) text = Number.isNaN(value.getTime()) ? "" : value.toISOString();
+        else if(typeof value === "object") text = JSON.stringify(value);
+        else text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+    }
+
+    /**
+     * Works out the type each field of a CSV is converted to: the `type` of its column, if it has one.
+     * Fields of the key column, or of a column referencing another table, without a type take the type of the key column they hold keys of.
+     * If that has no type either, they are numbers if the keys are generated, and `"numericKey"` (numbers if they look like one) otherwise.
+     * Only the schema is used, so the same CSV always gives the same rows whatever the tables already hold.
+     * @param {TableSchema} tableSchema 
+     * @param {Array.<String|null>} paths The column each field goes into, or null if it is left out.
+     * @returns {Array.<String|undefined>} The type of each field. Undefined if it is kept as text.
+     */
+    _getCSVTypes(tableSchema, paths) {
+        const columns = paths.map(path => [tableSchema.keyColumn, ...tableSchema.otherColumns].find(column => !column.isCompound && column.keyPath === path));
+        const types = columns.map(column => column && column.options && column.options.type);
+        // The table whose keys each field without a type holds, if any
+        const keyTables = columns.map((column, position) => {
+            if(!column || types[position]) return undefined;
+            if(column === tableSchema.keyColumn) return tableSchema;
+            return column.options && column.options.references && !column.options.multiEntry ? this.schema.tableMap[column.options.references] : undefined;
+        });
+        keyTables.forEach((keyTable, position) => {
+            if(!keyTable || keyTable.keyColumn.isCompound) return;
+            if(keyTable.keyColumn.options && keyTable.keyColumn.options.type) types[position] = keyTable.keyColumn.options.type;
+            else if(keyTable.autoIncrement) types[position] = "number";
+            else types[position] = "numericKey";
+        });
+        return types;
+    }
+
+    /**
+     * Converts a CSV field to a type.
+     * @param {String} path The column the field goes into.
+     * @param {String} field 
+     * @param {String} [type] A column type, or `"numericKey"` to convert the field to a number only if it looks like one. Kept as text if not given.
+     * @returns {*}
+     */
+    static _fromCSVField(path, field, type) {
+        switch(type) {
+            case "numericKey": {
+                const number = Number(field.trim());
+                return field.trim() === "" || Number.isNaN(number) ? field : number;
+            }
+            case "number": {
+                const number = Number(field.trim());
+                if(field.trim() === "" || Number.isNaN(number)) throw new LocalDatabaseError(`Column (${path}) must be a number, not ${JSON.stringify(field)}.`);
+                return number;
+            }
+            case "boolean": {
+                const text = field.trim().toLowerCase();
+                if(["true", "1", "yes"].includes(text)) return true;
+                if(["false", "0", "no"].includes(text)) return false;
+                throw new LocalDatabaseError(`Column (${path}) must be true or false, not ${JSON.stringify(field)}.`);
+            }
+            case "date": {
+                const date = new Date(field.trim());
+                if(Number.isNaN(date.getTime())) throw new LocalDatabaseError(`Column (${path}) must be a date, not ${JSON.stringify(field)}.`);
+                return date;
+            }
+            case "array":
+            case "object": {
+                let value;
+                try {
+                    value = JSON.parse(field);
+                } catch (error) {
+                    throw new LocalDatabaseError(`Column (${path}) must be an ${type} written as JSON, not ${JSON.stringify(field)}.`);
+                }
+                if(!ColumnSchema.types[type](value)) throw new LocalDatabaseError(`Column (${path}) must be an ${type} written as JSON, not ${JSON.stringify(field)}.`);
+                return value;
+            }
+            default:
+                return field;
+        }
+    }
+
+    /**
+     * @typedef Bounds
+     * @property {*} [lower] The lowest value allowed. Undefined if there is no lower bound.
+     * @property {*} [upper] The highest value allowed. Undefined if there is no upper bound.
+     * @property {Boolean} lowerOpen If true, `lower` itself is not allowed.
+     * @property {Boolean} upperOpen If true, `upper` itself is not allowed.
+     */
+
+    /**
+     * Gets the range described by the $lt, $lte, $gt and $gte selectors of a column query.
+     * @param {Object} columnEntry Something like `{ $lt: 60, $gte: 20 }`
+     * @returns {Bounds|null} Null if the column query has no range selectors.
+     */
+    static _getBounds(columnEntry) {
+        // Get the highest greater than value
+        let greaterThan = columnEntry.$gt !== undefined ? columnEntry.$gt : columnEntry.$gte;
+        if(columnEntry.$gt !== undefined && columnEntry.$gte !== undefined) {
+            greaterThan = Math.max(columnEntry.$gt, columnEntry.$gte);
+        }
+        const isGte = greaterThan === columnEntry.$gte;
+        // Get the lowest less than value
+        let lessThan = columnEntry.$lt !== undefined ? columnEntry.$lt : columnEntry.$lte;
+        if(columnEntry.$lt !== undefined && columnEntry.$lte !== undefined) {
+            lessThan = Math.min(columnEntry.$lt, columnEntry.$lte);
+        }
+        const isLte = lessThan === columnEntry.$lte;
+
+        if(lessThan === undefined && greaterThan === undefined)
+            return null;
+        return { lower: greaterThan, upper: lessThan, lowerOpen: !isGte, upperOpen: !isLte };
+    }
+
+    /**
+     * Turns bounds into an IDBKeyRange.
+     * @param {Bounds} bounds 
+     * @returns {IDBKeyRange}
+     */
+    static _toKeyRange(bounds) {
+        // Within a range
+        if(bounds.lower !== undefined && bounds.upper !== undefined)
+            return LocalDatabase._KeyRange.bound(bounds.lower, bounds.upper, bounds.lowerOpen, bounds.upperOpen);
+        // Less than, no greater than
+        if(bounds.upper !== undefined)
+            return LocalDatabase._KeyRange.upperBound(bounds.upper, bounds.upperOpen);
+        // Greater than, no less than
+        return LocalDatabase._KeyRange.lowerBound(bounds.lower, bounds.lowerOpen);
+    }
+
+    /**
+     * Finds compound columns that cover several columns of a query so they can be served with one lookup.
+     * 
+     * A compound column is used when the query has exact matches for its leading columns and, optionally, a range on the column after them.
+     * It must cover at least 2 columns of the query, or its first column must not have a column of its own.
+     * 
+     * Covered columns are removed from `exactMatches` and `ranges`.
+     * @param {TableSchema} tableSchema 
+     * @param {Object} exactMatches The exact matches of the query, by column name.
+     * @param {Object.<Bounds>} ranges The ranges of the query, by column name.
+     * @returns {Array.<Array>} Queries like: [columnName, key or IDBKeyRange]. The columnName is null for the key column.
+     */
+    static _getCompoundQueries(tableSchema, exactMatches, ranges) {
+        const compoundColumns = [tableSchema.keyColumn, ...tableSchema.otherColumns]
+            .filter(column => column.isCompound)
+            .sort((a, b) => b.keyPath.length - a.keyPath.length);
+        const hasOwnColumn = columnName => [tableSchema.keyColumn, ...tableSchema.otherColumns].some(column => column.keyPath === columnName);
+
+        const queries = [];
+        for(const column of compoundColumns) {
+            const prefix = [];
+            for(const columnName of column.keyPath) {
+                if(!(columnName in exactMatches) || exactMatches[columnName] === null) break;
+                prefix.push(exactMatches[columnName]);
+            }
+            const nextColumn = column.keyPath[prefix.length];
+            const bounds = nextColumn !== undefined ? ranges[nextColumn] : undefined;
+            const coveredCount = prefix.length + (bounds ? 1 : 0);
+            if(coveredCount === 0) continue;
+            if(coveredCount < 2 && hasOwnColumn(column.keyPath[0])) continue;
+
+            const columnName = column === tableSchema.keyColumn ? null : column.name;
+            if(prefix.length === column.keyPath.length) {
+                queries.push([columnName, prefix]);
+            } else if(bounds) {
+                // An empty array sorts after every other key, so [...prefix, []] is above every key starting with prefix
+                queries.push([columnName, LocalDatabase._KeyRange.bound(
+                    bounds.lower !== undefined ? [...prefix, bounds.lower] : prefix,
+                    bounds.upper !== undefined ? [...prefix, bounds.upper] : [...prefix, []],
+                    bounds.lower !== undefined && bounds.lowerOpen,
+                    bounds.upper !== undefined && bounds.upperOpen
+                )]);
+            } else {
+                queries.push([columnName, LocalDatabase._KeyRange.bound(prefix, [...prefix, []])]);
+            }
+
+            column.keyPath.slice(0, prefix.length).forEach(columnName => delete exactMatches[columnName]);
+            if(bounds) delete ranges[nextColumn];
+        }
+        return queries;
+    }
+
+    /**
+     * Gets the key of a row.
+     * @param {TableSchema} tableSchema 
+     * @param {Object} row 
+     * @returns {*} An array of values for compound key columns.
+     */
+    static _getKey(tableSchema, row) {
+        const keyPath = tableSchema.keyColumn.keyPath;
+        return Array.isArray(keyPath) ? keyPath.map(columnName => LocalDatabase._getValue(row, columnName)) : LocalDatabase._getValue(row, keyPath);
+    }
+
+    /**
+     * Gets the value at a dot-path inside of a row.
+     * @example LocalDatabase._getValue({ address: { city: "Oslo" } }, "address.city") // Result: "Oslo"
+     * @param {Object} row 
+     * @param {String} path 
+     * @returns {*} Undefined if the path does not exist.
+     */
+    static _getValue(row, path) {
+        return path.split(".").reduce((value, property) => value === undefined || value === null ? undefined : value[property], row);
+    }
+
+    /**
+     * Flattens nested queries into dot-path queries. Objects made only of selectors (keys starting with $) are left as they are.
+     * @example LocalDatabase._flattenQuery({ address: { city: "Oslo", zip: { $gt: 1000 } } }) // Result: { "address.city": "Oslo", "address.zip": { $gt: 1000 } }
+     * @param {Object} query 
+     * @param {String} [prefix] The dot-path of the object being flattened.
+     * @returns {Object}
+     */
+    static _flattenQuery(query, prefix = "") {
+        const flattened = {};
+        for(const [columnName, columnEntry] of Object.entries(query)) {
+            const path = prefix + columnName;
+            if(!LocalDatabase._isPlainObject(columnEntry)) {
+                flattened[path] = columnEntry;
+                continue;
+            }
+            const selectorCount = Object.keys(columnEntry).filter(key => key.startsWith("$")).length;
+            if(selectorCount === 0 && Object.keys(columnEntry).length > 0) {
+                Object.assign(flattened, LocalDatabase._flattenQuery(columnEntry, `${path}.`));
+                continue;
+            }
+            if(selectorCount !== Object.keys(columnEntry).length)
+                throw new LocalDatabaseError(`Error in LocalDatabase.select: The query for column (${path}) mixes selectors (keys starting with $) with nested columns. Use dot-paths like { "${path}.column": value } alongside selectors instead.`);
+            flattened[path] = columnEntry;
+        }
+        return flattened;
+    }
+
+    /**
+     * Returns true if the given variable is a plain object such as `{ a: 1 }`, rather than an array, date or other class instance.
+     * @param {*} variable 
+     * @returns {Boolean}
+     */
+    static _isPlainObject(variable) {
+        return variable !== null && typeof variable === "object" && [Object.prototype, null].includes(Object.getPrototypeOf(variable));
+    }
+
+    /**
+     * Gets an index from an object store.
+     * @param {IDBObjectStore} store 
+     * @param {String} name 
+     * @param {String} errorMessagePrepend
+     * @returns {IDBIndex}
+     */
+    static _getIndex(store, name, errorMessagePrepend) {
+        try {
+            return store.index(name);
+        } catch (error) {
+            throw new UnknownColumnError(`${errorMessagePrepend}\nErrored while trying to find column (${name}) in table (${store.name}). Make sure your specified column exists and is available!\n\nIndexedDb Error:\n${error.message}`, { table: store.name, column: name, cause: error });
+        }
+    }
+
+    /**
+     * Removes duplicate keys from an array of keys, keeping the first of each.
+     * @param {Array} keys 
+     * @returns {Array}
+     */
+    static _unique(keys) {
+        const seenIds = new Set();
+        return keys.filter(key => {
+            const id = LocalDatabase._keyId(key);
+            if(seenIds.has(id)) return false;
+            seenIds.add(id);
+            return true;
+        });
+    }
+
+    /**
+     * Turns a key into a string that is the same for equal keys and different for different keys, so keys can be put in a Set.
+     * @example LocalDatabase._keyId(1) // Result: '1'
+     * @example LocalDatabase._keyId("1") // Result: '"1"'
+     * @param {*} key 
+     * @returns {String}
+     */
+    static _keyId(key) {
+        return JSON.stringify(LocalDatabase._encodeKey(key));
+    }
+
+    /**
+     * Turns the error event of an IndexedDB request or transaction into a LocalDatabaseError.
+     * @param {Event} event 
+     * @returns {LocalDatabaseError}
+     */
+    static error(event) {
+        return LocalDatabase._toError("Error with LocalDatabase", event.target.error);
+    }
+
+    /**
+     * Turns an error into a LocalDatabaseError, so callers can tell what went wrong with `instanceof`.
+     * 
+     * Errors from IndexedDB become the matching class (QuotaExceededError, ConstraintError, VersionError), with the original error as `cause`.
+     * LocalDatabaseErrors are returned as they are, with any details they are missing filled in.
+     * Errors that don't come from IndexedDB, such as the errors hooks throw to veto an operation, are returned as they are too.
+     * @param {String} errorMessagePrepend 
+     * @param {Error|null} error The error, such as the `error` of a failed request. Null if a transaction was aborted on purpose.
+     * @param {{table: String, query: *}} [details] 
+     * @returns {Error}
+     */
+    static _toError(errorMessagePrepend, error, details = {}) {
+        if(error instanceof LocalDatabaseError) {
+            for(const [name, value] of Object.entries(details)) {
+                if(error[name] === undefined) error[name] = value;
+            }
+            return error;
+        }
+        // IndexedDB only fails with DOMExceptions
+        if(error && typeof DOMException !== "undefined" && !(error instanceof DOMException)) return error;
+        const where = details.table ? ` for table (${details.table})` : "";
+        const cause = error || undefined;
+        const indexedDbError = error ? `\n\nIndexedDb error:\n${error.name}: ${error.message}` : "";
+        switch(error && error.name) {
+            case "QuotaExceededError":
+                return new QuotaExceededError(`${errorMessagePrepend}${where}: There is not enough storage space left for this site. Nothing was written.${indexedDbError}`, { ...details, cause });
+            case "ConstraintError":
+                return new ConstraintError(`${errorMessagePrepend}${where}: A row with the same key, or the same value in a unique column, already exists. Nothing was written.${indexedDbError}`, { ...details, cause });
+            case "VersionError":
+                return new VersionError(`${errorMessagePrepend}: The stored database is newer than the version being opened.${indexedDbError}`, { ...details, cause });
+            default:
+                return new LocalDatabaseError(`${errorMessagePrepend}${where}.${indexedDbError}`, { ...details, cause });
+        }
+    }
+
+    /**
+     * Opens a database, upgrading it if needed, and resolves with its own LocalDatabase instance.
+     * Any number of databases can be open at once, each with their own instance.
+     * @example const db = await LocalDatabase.open(dbSchema); await db.add("PersonsTable", person);
+     * @param {DatabaseSchema} schema 
+     * @param {InitOptions} [options] 
+     * @returns {Promise.<LocalDatabase>}
+     * @async
+     */
+    static open(schema, options = { allowDestructive: false }) {
+        const database = new LocalDatabase();
+        return database.init(schema, options).then(() => database);
+    }
+
+    /**
+     * Keeps databases in memory instead of IndexedDB. Pass one to `init` as `adapter` to run in Node, during server side rendering or in unit tests.
+     * @example const db = await LocalDatabase.open(dbSchema, { adapter: new LocalDatabase.MemoryAdapter() });
+     * @type {typeof MemoryAdapter}
+     */
+    static MemoryAdapter = MemoryAdapter;
+
+    /**
+     * The adapter `init` uses when it isn't given one. If null, IndexedDB is used.
+     * @example if(typeof indexedDB === "undefined") LocalDatabase.defaultAdapter = new LocalDatabase.MemoryAdapter();
+     * @type {IDBFactory|MemoryAdapter|null}
+     */
+    static defaultAdapter = null;
+
+    /**
+     * Creates a memory adapter that saves each database to localStorage, so the data survives reloads where IndexedDB is missing.
+     * 
+     * Every write saves the whole database again, so it only suits small databases. Blobs can't be stored, and other tabs aren't told about changes.
+     * @example LocalDatabase.init(dbSchema, { adapter: LocalDatabase.localStorageAdapter() });
+     * @param {Storage} [storage] Where to save the databases. Defaults to `window.localStorage`.
+     * @returns {MemoryAdapter}
+     */
+    static localStorageAdapter(storage = globalThis.localStorage) {
+        if(!storage) throw new LocalDatabaseError("Error in LocalDatabase.localStorageAdapter: localStorage is not available.");
+        const storageKey = name => `LocalDatabase:${name}`;
+        return new MemoryAdapter({
+            persistence: {
+                load: name => {
+                    const saved = storage.getItem(storageKey(name));
+                    return saved === null ? null : LocalDatabase._decodeValue(JSON.parse(saved));
+                },
+                save: (name, database) => {
+                    if(database === null) storage.removeItem(storageKey(name));
+                    else storage.setItem(storageKey(name), JSON.stringify(LocalDatabase._encodeValue(database, new Map())));
+                }
+            }
+        });
+    }
+
+    /**
+     * Works out which adapter to use.
+     * @param {{adapter: IDBFactory|MemoryAdapter}} options 
+     * @returns {IDBFactory|MemoryAdapter|null} Null if there is no adapter and no IndexedDB.
+     */
+    static _getAdapter(options) {
+        return options.adapter || LocalDatabase.defaultAdapter || globalThis.indexedDB || null;
+    }
+
+    /**
+     * IDBKeyRange, or the memory adapter's copy of it where IndexedDB is missing. Both adapters accept either.
+     * @type {typeof IDBKeyRange}
+     */
+    static get _KeyRange() {
+        return typeof IDBKeyRange !== "undefined" ? IDBKeyRange : MemoryAdapter.KeyRange;
+    }
+
+    /**
+     * The instance the static methods act on, kept so code written before instances existed keeps working.
+     * @type {LocalDatabase}
+     */
+    static defaultInstance = new LocalDatabase();
+
+    /**
+     * The open connection to IndexedDB of the default instance.
+     * @type {IDBDatabase}
+     */
+    static get instance() { return LocalDatabase.defaultInstance.connection; }
+    static set instance(instance) { LocalDatabase.defaultInstance.connection = instance; }
+    /**
+     * The version of the default instance's database.
+     * @type {Number}
+     */
+    static get version() { return LocalDatabase.defaultInstance.version; }
+    static set version(version) { LocalDatabase.defaultInstance.version = version; }
+    /**
+     * The schema used to initialise the default instance.
+     * @type {DatabaseSchema}
+     */
+    static get schema() { return LocalDatabase.defaultInstance.schema; }
+    static set schema(schema) { LocalDatabase.defaultInstance.schema = schema; }
+    /**
+     * `allowFullScan` of the default instance.
+     * @type {Boolean}
+     */
+    static get allowFullScan() { return LocalDatabase.defaultInstance.allowFullScan; }
+    static set allowFullScan(allowFullScan) { LocalDatabase.defaultInstance.allowFullScan = allowFullScan; }
+    /**
+     * True while the default instance's tab is the leader.
+     * @type {Boolean}
+     */
+    static get isLeader() { return LocalDatabase.defaultInstance.isLeader; }
+    /**
+     * `onVersionChange` of the default instance.
+     * @type {Function}
+     */
+    static get onVersionChange() { return LocalDatabase.defaultInstance.onVersionChange; }
+    static set onVersionChange(onVersionChange) { LocalDatabase.defaultInstance.onVersionChange = onVersionChange; }
+
+    /** @see LocalDatabase#init */
+    static init(schema, options) { return LocalDatabase.defaultInstance.init(schema, options); }
+    /** @see LocalDatabase#upgrade */
+    static upgrade(schema, oldVersion, transaction, options) { return LocalDatabase.defaultInstance.upgrade(schema, oldVersion, transaction, options); }
+    /** @see LocalDatabase#multiAdd */
+    static multiAdd(table, objects, options) { return LocalDatabase.defaultInstance.multiAdd(table, objects, options); }
+    /** @see LocalDatabase#add */
+    static add(table, object, options) { return LocalDatabase.defaultInstance.add(table, object, options); }
+    /** @see LocalDatabase#select */
+    static select(table, query, options) { return LocalDatabase.defaultInstance.select(table, query, options); }
+    /** @see LocalDatabase#paginate */
+    static paginate(table, query, options) { return LocalDatabase.defaultInstance.paginate(table, query, options); }
+    /** @see LocalDatabase#iterate */
+    static iterate(table, query, options) { return LocalDatabase.defaultInstance.iterate(table, query, options); }
+    /** @see LocalDatabase#count */
+    static count(table, query, options) { return LocalDatabase.defaultInstance.count(table, query, options); }
+    /** @see LocalDatabase#aggregate */
+    static aggregate(table, query, options) { return LocalDatabase.defaultInstance.aggregate(table, query, options); }
+    /** @see LocalDatabase#distinct */
+    static distinct(table, column, query, options) { return LocalDatabase.defaultInstance.distinct(table, column, query, options); }
+    /** @see LocalDatabase#update */
+    static update(table, query, changes) { return LocalDatabase.defaultInstance.update(table, query, changes); }
+    /** @see LocalDatabase#delete */
+    static delete(table, query) { return LocalDatabase.defaultInstance.delete(table, query); }
+    /** @see LocalDatabase#restore */
+    static restore(table, query) { return LocalDatabase.defaultInstance.restore(table, query); }
+    /** @see LocalDatabase#purge */
+    static purge(table, query) { return LocalDatabase.defaultInstance.purge(table, query); }
+    /** @see LocalDatabase#transaction */
+    static transaction(tables, callback) { return LocalDatabase.defaultInstance.transaction(tables, callback); }
+    /** @see LocalDatabase#hook */
+    static hook(name, table, handler, options) { return LocalDatabase.defaultInstance.hook(name, table, handler, options); }
+    /** @see LocalDatabase#unhook */
+    static unhook(name, table, handler) { return LocalDatabase.defaultInstance.unhook(name, table, handler); }
+    /** @see LocalDatabase#use */
+    static use(middleware) { return LocalDatabase.defaultInstance.use(middleware); }
+    /** @see LocalDatabase#on */
+    static on(event, table, handler) { return LocalDatabase.defaultInstance.on(event, table, handler); }
+    /** @see LocalDatabase#off */
+    static off(event, table, handler) { return LocalDatabase.defaultInstance.off(event, table, handler); }
+    /** @see LocalDatabase#live */
+    static live(table, query, callback, options) { return LocalDatabase.defaultInstance.live(table, query, callback, options); }
+    /** @see LocalDatabase#becomeLeader */
+    static becomeLeader() { return LocalDatabase.defaultInstance.becomeLeader(); }
+    /** @see LocalDatabase#close */
+    static close() { return LocalDatabase.defaultInstance.close(); }
+    /** @see LocalDatabase#export */
+    static export(options) { return LocalDatabase.defaultInstance.export(options); }
+    /** @see LocalDatabase#import */
+    static import(dump, options) { return LocalDatabase.defaultInstance.import(dump, options); }
+    /** @see LocalDatabase#exportCSV */
+    static exportCSV(table, query, options) { return LocalDatabase.defaultInstance.exportCSV(table, query, options); }
+    /** @see LocalDatabase#importCSV */
+    static importCSV(table, csv, options) { return LocalDatabase.defaultInstance.importCSV(table, csv, options); }
+
+    /**
+     * The schema for a column using LocalDatabase.
+     * @type {ColumnSchema}
+     */
+    static Column = ColumnSchema;
+    /**
+     * The schema for a table using LocalDatabase.
+     * @type {TableSchema}
+     */
+    static Table = TableSchema;
+    /**
+     * The schema for a database using LocalDatabase.
+     * @type {DatabaseSchema}
+     */
+    static Database = DatabaseSchema;
+    /**
+     * A migration for a database using LocalDatabase.
+     * @type {Migration}
+     */
+    static Migration = Migration;
+    /**
+     * The base class of every error LocalDatabase rejects with.
+     * @type {LocalDatabaseError}
+     */
+    static LocalDatabaseError = LocalDatabaseError;
+    /**
+     * The error `init` rejects with when another tab keeps the database from being upgraded.
+     * @type {BlockedError}
+     */
+    static BlockedError = BlockedError;
+    /**
+     * The error writes reject with when rows break the constraints of their columns.
+     * @type {ValidationError}
+     */
+    static ValidationError = ValidationError;
+    /**
+     * The error writes reject with when they would break a reference between tables, or a row shares its key or a unique value with another row.
+     * @type {ConstraintError}
+     */
+    static ConstraintError = ConstraintError;
+    /**
+     * The error methods reject with when they are used before the database has been opened.
+     * @type {NotInitialisedError}
+     */
+    static NotInitialisedError = NotInitialisedError;
+    /**
+     * The error methods reject with when a table is not in the schema.
+     * @type {UnknownTableError}
+     */
+    static UnknownTableError = UnknownTableError;
+    /**
+     * The error methods reject with when a column is not in the schema of its table.
+     * @type {UnknownColumnError}
+     */
+    static UnknownColumnError = UnknownColumnError;
+    /**
+     * The error writes reject with when the browser has run out of storage space.
+     * @type {QuotaExceededError}
+     */
+    static QuotaExceededError = QuotaExceededError;
+    /**
+     * The error `init` rejects with when the stored database is newer than the schema.
+     * @type {VersionError}
+     */
+    static VersionError = VersionError;
 
 }
 
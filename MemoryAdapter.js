@@ -0,0 +1,1798 @@
+/**
+ * A range of keys, the same as IDBKeyRange, for where IndexedDB isn't available.
+ */
+class MemoryKeyRange {
+    /**
+     * The lowest key in the range. Undefined if there is no lower bound.
+     * @type {*}
+     */
+    lower = undefined;
+
+    /**
+     * The highest key in the range. Undefined if there is no upper bound.
+     * @type {*}
+     */
+    upper = undefined;
+
+    /**
+     * If true, `lower` itself is not in the range.
+     * @type {Boolean}
+     */
+    lowerOpen = false;
+
+    /**
+     * If true, `upper` itself is not in the range.
+     * @type {Boolean}
+     */
+    upperOpen = false;
+
+    /**
+     * Use `MemoryKeyRange.only`, `bound`, `lowerBound` or `upperBound` instead.
+     * @param {*} lower
+     * @param {*} upper
+     * @param {Boolean} lowerOpen
+     * @param {Boolean} upperOpen
+     */
+    constructor(lower, upper, lowerOpen, upperOpen) {
+        this.lower = lower;
+        this.upper = upper;
+        this.lowerOpen = lowerOpen;
+        this.upperOpen = upperOpen;
+    }
+
+    /**
+     * Returns true if a key is in this range.
+     * @param {*} key
+     * @returns {Boolean}
+     */
+    includes(key) {
+        MemoryAdapter._checkKey(key);
+        return MemoryAdapter._isInRange(this, key);
+    }
+
+    /**
+     * A range holding a single key.
+     * @param {*} key
+     * @returns {MemoryKeyRange}
+     */
+    static only(key) {
+        MemoryAdapter._checkKey(key);
+        return new MemoryKeyRange(key, key, false, false);
+    }
+
+    /**
+     * A range of every key above a key.
+     * @param {*} lower
+     * @param {Boolean} [open] If true, `lower` itself is not in the range.
+     * @returns {MemoryKeyRange}
+     */
+    static lowerBound(lower, open = false) {
+        MemoryAdapter._checkKey(lower);
+        return new MemoryKeyRange(lower, undefined, open, true);
+    }
+
+    /**
+     * A range of every key below a key.
+     * @param {*} upper
+     * @param {Boolean} [open] If true, `upper` itself is not in the range.
+     * @returns {MemoryKeyRange}
+     */
+    static upperBound(upper, open = false) {
+        MemoryAdapter._checkKey(upper);
+        return new MemoryKeyRange(undefined, upper, true, open);
+    }
+
+    /**
+     * A range of every key between two keys.
+     * @param {*} lower
+     * @param {*} upper
+     * @param {Boolean} [lowerOpen] If true, `lower` itself is not in the range.
+     * @param {Boolean} [upperOpen] If true, `upper` itself is not in the range.
+     * @returns {MemoryKeyRange}
+     */
+    static bound(lower, upper, lowerOpen = false, upperOpen = false) {
+        MemoryAdapter._checkKey(lower);
+        MemoryAdapter._checkKey(upper);
+        const comparison = MemoryAdapter.cmp(lower, upper);
+        if(comparison > 0 || (comparison === 0 && (lowerOpen || upperOpen))) throw MemoryAdapter._error("DataError", "The lower key of the range is greater than the upper key.");
+        return new MemoryKeyRange(lower, upper, lowerOpen, upperOpen);
+    }
+}
+
+/**
+ * A request for something from a MemoryAdapter, the same as IDBRequest. Its result arrives in a later task.
+ */
+class MemoryRequest {
+    /**
+     * The result of the request, once `readyState` is "done".
+     * @type {*}
+     */
+    result = undefined;
+
+    /**
+     * Why the request failed, once `readyState` is "done". Null if it succeeded.
+     * @type {Error|null}
+     */
+    error = null;
+
+    /**
+     * "pending" until the request has finished, then "done".
+     * @type {String}
+     */
+    readyState = "pending";
+
+    /**
+     * The store, index or cursor the request was made on. Null for requests to open a database.
+     * @type {*}
+     */
+    source = null;
+
+    /**
+     * The transaction the request was made in. For requests to open a database, the upgrade transaction while it runs.
+     * @type {MemoryTransaction|null}
+     */
+    transaction = null;
+
+    onsuccess = null;
+    onerror = null;
+    onupgradeneeded = null;
+    onblocked = null;
+
+    /**
+     * @param {*} source
+     * @param {MemoryTransaction} transaction
+     */
+    constructor(source = null, transaction = null) {
+        this.source = source;
+        this.transaction = transaction;
+    }
+}
+
+/**
+ * A cursor walking a store or index of a MemoryAdapter, the same as IDBCursorWithValue (or IDBCursor for key cursors).
+ *
+ * Like IndexedDB, the cursor sees changes made to the rows it hasn't reached yet.
+ */
+class MemoryCursor {
+    /**
+     * The store or index being walked.
+     * @type {MemoryObjectStore|MemoryIndex}
+     */
+    source = null;
+
+    /**
+     * "next", "nextunique", "prev" or "prevunique".
+     * @type {String}
+     */
+    direction = "next";
+
+    /**
+     * The key of the entry the cursor is at. For indexes, the value of the column.
+     * @type {*}
+     */
+    key = undefined;
+
+    /**
+     * The key of the row the cursor is at.
+     * @type {*}
+     */
+    primaryKey = undefined;
+
+    /**
+     * The request the cursor answers each time it moves.
+     * @type {MemoryRequest}
+     */
+    request = null;
+
+    /**
+     * @param {MemoryObjectStore|MemoryIndex} source
+     * @param {MemoryKeyRange|null} range
+     * @param {String} direction
+     * @param {Boolean} withValue If false, this is a key cursor and has no `value`.
+     */
+    constructor(source, range, direction, withValue) {
+        this.source = source;
+        this.direction = direction;
+        this._range = range;
+        this._withValue = withValue;
+        this._position = null;
+        this._value = undefined;
+        this._gotValue = false;
+    }
+
+    /**
+     * The row the cursor is at. Key cursors don't have one.
+     * @type {*}
+     */
+    get value() {
+        return this._withValue ? this._value : undefined;
+    }
+
+    /**
+     * Moves to the next entry, or the next entry at or past a key.
+     * @param {*} [key]
+     */
+    continue(key) {
+        this._checkCanMove();
+        if(key !== undefined) {
+            MemoryAdapter._checkKey(key);
+            const comparison = MemoryAdapter.cmp(key, this.key);
+            if(this.direction.startsWith("next") ? comparison <= 0 : comparison >= 0) throw MemoryAdapter._error("DataError", "The key to continue to is not past the key of the cursor.");
+        }
+        this._move(() => this._step({ key }));
+    }
+
+    /**
+     * Moves to the next entry at or past both a key and a primary key. Only for index cursors walking "next" or "prev".
+     * @param {*} key
+     * @param {*} primaryKey
+     */
+    continuePrimaryKey(key, primaryKey) {
+        this._checkCanMove();
+        if(!(this.source instanceof MemoryIndex) || this.direction.endsWith("unique")) throw MemoryAdapter._error("InvalidAccessError", "continuePrimaryKey only works on index cursors walking \"next\" or \"prev\".");
+        MemoryAdapter._checkKey(key);
+        MemoryAdapter._checkKey(primaryKey);
+        const comparison = MemoryAdapter.cmp(key, this.key) || MemoryAdapter.cmp(primaryKey, this.primaryKey);
+        if(this.direction === "next" ? comparison <= 0 : comparison >= 0) throw MemoryAdapter._error("DataError", "The key to continue to is not past the key of the cursor.");
+        this._move(() => this._step({ key, primaryKey }));
+    }
+
+    /**
+     * Skips over a number of entries.
+     * @param {Number} count
+     */
+    advance(count) {
+        if(!Number.isInteger(count) || count < 1) throw new TypeError("The count to advance must be a whole number of 1 or more.");
+        this._checkCanMove();
+        this._move(() => {
+            let cursor = this;
+            for(let step = 0; step < count && cursor; step++) {
+                cursor = this._step();
+            }
+            return cursor;
+        });
+    }
+
+    /**
+     * Replaces the row the cursor is at.
+     * @param {*} value
+     * @returns {MemoryRequest}
+     */
+    update(value) {
+        const transaction = this._checkCanWrite();
+        const storeData = this._getStoreData();
+        const clone = MemoryAdapter._clone(value);
+        if(storeData.keyPath !== null) {
+            const key = MemoryAdapter._evaluateKeyPath(clone, storeData.keyPath);
+            if(!MemoryAdapter.isValidKey(key) || MemoryAdapter.cmp(key, this.primaryKey) !== 0) throw MemoryAdapter._error("DataError", "The key of the updated row doesn't match the key of the row the cursor is at.");
+        }
+        const primaryKey = this.primaryKey;
+        return transaction._request(this, () => MemoryAdapter._put(transaction, storeData, clone, primaryKey, false));
+    }
+
+    /**
+     * Deletes the row the cursor is at.
+     * @returns {MemoryRequest}
+     */
+    delete() {
+        const transaction = this._checkCanWrite();
+        const storeData = this._getStoreData();
+        const range = MemoryKeyRange.only(this.primaryKey);
+        return transaction._request(this, () => MemoryAdapter._delete(transaction, storeData, range));
+    }
+
+    /**
+     * Makes sure the cursor can move.
+     */
+    _checkCanMove() {
+        this.source.transaction._checkActive();
+        if(!this._gotValue) throw MemoryAdapter._error("InvalidStateError", "The cursor is already moving or has finished.");
+    }
+
+    /**
+     * Makes sure the row the cursor is at can be changed.
+     * @returns {MemoryTransaction}
+     */
+    _checkCanWrite() {
+        const transaction = this.source.transaction;
+        transaction._checkActive();
+        if(transaction.mode === "readonly") throw MemoryAdapter._error("ReadOnlyError", "The transaction is read-only.");
+        if(!this._gotValue || !this._withValue) throw MemoryAdapter._error("InvalidStateError", "The cursor is not at a row that can be changed.");
+        return transaction;
+    }
+
+    /**
+     * Asks the request to move the cursor again.
+     * @param {Function} operation Moves the cursor and returns it, or null if it has finished.
+     */
+    _move(operation) {
+        this._gotValue = false;
+        this.source.transaction._requeue(this.request, operation);
+    }
+
+    /**
+     * The store holding the rows the cursor walks.
+     * @returns {Object}
+     */
+    _getStoreData() {
+        return this.source instanceof MemoryIndex ? this.source.objectStore._data : this.source._data;
+    }
+
+    /**
+     * Moves the cursor to the next entry in its direction.
+     * @param {{key: *, primaryKey: *}} [target] The entry must also be at or past these keys.
+     * @returns {MemoryCursor|null} Null if there are no more entries.
+     */
+    _step(target = {}) {
+        const entries = this.source instanceof MemoryIndex ? this.source._data.entries : this.source._data.records;
+        const isUnique = this.direction.endsWith("unique");
+        const position = this._position;
+        const range = this._range;
+        // Compares an entry with the position of the cursor, or with the target
+        const compareTo = (entry, keys, isUniqueKeys) => MemoryAdapter.cmp(entry.key, keys.key) || (isUniqueKeys || keys.primaryKey === undefined ? 0 : MemoryAdapter.cmp(entry.primaryKey, keys.primaryKey));
+        let entry;
+
+        if(this.direction.startsWith("next")) {
+            entry = entries[MemoryAdapter._firstIndex(entries, candidate =>
+                MemoryAdapter._isAboveLower(range, candidate.key)
+                && (!position || compareTo(candidate, position, isUnique) > 0)
+                && (target.key === undefined || compareTo(candidate, target, false) >= 0))];
+            if(entry && !MemoryAdapter._isBelowUpper(range, entry.key)) entry = undefined;
+        } else {
+            entry = entries[MemoryAdapter._firstIndex(entries, candidate => !(
+                MemoryAdapter._isBelowUpper(range, candidate.key)
+                && (!position || compareTo(candidate, position, isUnique) < 0)
+                && (target.key === undefined || compareTo(candidate, target, false) <= 0))) - 1];
+            if(entry && !MemoryAdapter._isAboveLower(range, entry.key)) entry = undefined;
+            // Walking backwards without duplicates still lands on the first entry of each key
+            if(entry && isUnique) entry = entries[MemoryAdapter._firstIndex(entries, candidate => MemoryAdapter.cmp(candidate.key, entry.key) >= 0)];
+        }
+
+        if(!entry) {
+            this._position = null;
+            this.key = undefined;
+            this.primaryKey = undefined;
+            this._value = undefined;
+            return null;
+        }
+        this._position = { key: entry.key, primaryKey: entry.primaryKey };
+        this.key = MemoryAdapter._copyKey(entry.key);
+        this.primaryKey = MemoryAdapter._copyKey(entry.primaryKey);
+        if(this._withValue) {
+            const record = entry.value !== undefined ? entry : MemoryAdapter._findRecord(this._getStoreData(), entry.primaryKey);
+            this._value = MemoryAdapter._clone(record.value);
+        }
+        this._gotValue = true;
+        return this;
+    }
+}
+
+/**
+ * An index (column) of a store in a MemoryAdapter, the same as IDBIndex.
+ */
+class MemoryIndex {
+    /**
+     * @param {MemoryObjectStore} objectStore
+     * @param {Object} data
+     */
+    constructor(objectStore, data) {
+        this.objectStore = objectStore;
+        this._data = data;
+    }
+
+    get name() { return this._data.name; }
+    get keyPath() { return this._data.keyPath; }
+    get unique() { return this._data.unique; }
+    get multiEntry() { return this._data.multiEntry; }
+    get transaction() { return this.objectStore.transaction; }
+
+    /**
+     * Gets the first row with a value in a range.
+     * @param {*} query A key or key range.
+     * @returns {MemoryRequest}
+     */
+    get(query) {
+        return this._read(query, entries => entries.length > 0 ? MemoryAdapter._clone(this._getRecord(entries[0]).value) : undefined);
+    }
+
+    /**
+     * Gets the key of the first row with a value in a range.
+     * @param {*} query A key or key range.
+     * @returns {MemoryRequest}
+     */
+    getKey(query) {
+        return this._read(query, entries => entries.length > 0 ? MemoryAdapter._copyKey(entries[0].primaryKey) : undefined);
+    }
+
+    /**
+     * Gets the rows with a value in a range.
+     * @param {*} [query] A key or key range. Every row if not given.
+     * @param {Number} [count] The most rows to get.
+     * @returns {MemoryRequest}
+     */
+    getAll(query, count) {
+        return this._read(query, entries => MemoryAdapter._limit(entries, count).map(entry => MemoryAdapter._clone(this._getRecord(entry).value)));
+    }
+
+    /**
+     * Gets the keys of the rows with a value in a range.
+     * @param {*} [query] A key or key range. Every row if not given.
+     * @param {Number} [count] The most keys to get.
+     * @returns {MemoryRequest}
+     */
+    getAllKeys(query, count) {
+        return this._read(query, entries => MemoryAdapter._limit(entries, count).map(entry => MemoryAdapter._copyKey(entry.primaryKey)));
+    }
+
+    /**
+     * Counts the entries with a value in a range.
+     * @param {*} [query] A key or key range. Every entry if not given.
+     * @returns {MemoryRequest}
+     */
+    count(query) {
+        return this._read(query, entries => entries.length);
+    }
+
+    /**
+     * Opens a cursor over the rows with a value in a range.
+     * @param {*} [query] A key or key range.
+     * @param {String} [direction] "next", "nextunique", "prev" or "prevunique".
+     * @returns {MemoryRequest}
+     */
+    openCursor(query, direction = "next") {
+        return MemoryAdapter._openCursor(this, query, direction, true);
+    }
+
+    /**
+     * Opens a cursor over the keys of the rows with a value in a range.
+     * @param {*} [query] A key or key range.
+     * @param {String} [direction] "next", "nextunique", "prev" or "prevunique".
+     * @returns {MemoryRequest}
+     */
+    openKeyCursor(query, direction = "next") {
+        return MemoryAdapter._openCursor(this, query, direction, false);
+    }
+
+    /**
+     * Reads the entries in a range.
+     * @param {*} query
+     * @param {Function} read Receives the entries in the range and returns the result of the request.
+     * @returns {MemoryRequest}
+     */
+    _read(query, read) {
+        const range = MemoryAdapter._toRange(query);
+        return this.transaction._request(this, () => read(MemoryAdapter._getInRange(this._data.entries, range)));
+    }
+
+    /**
+     * Finds the row an entry points to.
+     * @param {{key: *, primaryKey: *}} entry
+     * @returns {{key: *, value: *}}
+     */
+    _getRecord(entry) {
+        return MemoryAdapter._findRecord(this.objectStore._data, entry.primaryKey);
+    }
+}
+
+/**
+ * A store (table) of a MemoryAdapter, the same as IDBObjectStore.
+ */
+class MemoryObjectStore {
+    /**
+     * @param {MemoryTransaction} transaction
+     * @param {Object} data
+     */
+    constructor(transaction, data) {
+        this.transaction = transaction;
+        this._data = data;
+        this._indexes = new Map();
+    }
+
+    get name() { return this._data.name; }
+    get keyPath() { return this._data.keyPath; }
+    get autoIncrement() { return this._data.autoIncrement; }
+    get indexNames() { return MemoryAdapter._stringList(this._data.indexes.keys()); }
+
+    /**
+     * Adds a row, replacing the row with the same key.
+     * @param {*} value
+     * @param {*} [key] Only for stores without a keyPath.
+     * @returns {MemoryRequest}
+     */
+    put(value, key) {
+        return this._write(value, key, false);
+    }
+
+    /**
+     * Adds a row. Fails if there already is a row with the same key.
+     * @param {*} value
+     * @param {*} [key] Only for stores without a keyPath.
+     * @returns {MemoryRequest}
+     */
+    add(value, key) {
+        return this._write(value, key, true);
+    }
+
+    /**
+     * Gets the first row in a range.
+     * @param {*} query A key or key range.
+     * @returns {MemoryRequest}
+     */
+    get(query) {
+        return this._read(query, records => records.length > 0 ? MemoryAdapter._clone(records[0].value) : undefined);
+    }
+
+    /**
+     * Gets the first key in a range.
+     * @param {*} query A key or key range.
+     * @returns {MemoryRequest}
+     */
+    getKey(query) {
+        return this._read(query, records => records.length > 0 ? MemoryAdapter._copyKey(records[0].key) : undefined);
+    }
+
+    /**
+     * Gets the rows in a range.
+     * @param {*} [query] A key or key range. Every row if not given.
+     * @param {Number} [count] The most rows to get.
+     * @returns {MemoryRequest}
+     */
+    getAll(query, count) {
+        return this._read(query, records => MemoryAdapter._limit(records, count).map(record => MemoryAdapter._clone(record.value)));
+    }
+
+    /**
+     * Gets the keys in a range.
+     * @param {*} [query] A key or key range. Every key if not given.
+     * @param {Number} [count] The most keys to get.
+     * @returns {MemoryRequest}
+     */
+    getAllKeys(query, count) {
+        return this._read(query, records => MemoryAdapter._limit(records, count).map(record => MemoryAdapter._copyKey(record.key)));
+    }
+
+    /**
+     * Counts the rows in a range.
+     * @param {*} [query] A key or key range. Every row if not given.
+     * @returns {MemoryRequest}
+     */
+    count(query) {
+        return this._read(query, records => records.length);
+    }
+
+    /**
+     * Deletes the rows in a range.
+     * @param {*} query A key or key range.
+     * @returns {MemoryRequest}
+     */
+    delete(query) {
+        this._checkWritable();
+        const range = MemoryAdapter._toRange(query);
+        if(range === null) throw MemoryAdapter._error("DataError", "No key or key range was given to delete.");
+        return this.transaction._request(this, () => MemoryAdapter._delete(this.transaction, this._data, range));
+    }
+
+    /**
+     * Deletes every row.
+     * @returns {MemoryRequest}
+     */
+    clear() {
+        this._checkWritable();
+        return this.transaction._request(this, () => MemoryAdapter._delete(this.transaction, this._data, null));
+    }
+
+    /**
+     * Opens a cursor over the rows in a range.
+     * @param {*} [query] A key or key range.
+     * @param {String} [direction] "next", "nextunique", "prev" or "prevunique".
+     * @returns {MemoryRequest}
+     */
+    openCursor(query, direction = "next") {
+        return MemoryAdapter._openCursor(this, query, direction, true);
+    }
+
+    /**
+     * Opens a cursor over the keys in a range.
+     * @param {*} [query] A key or key range.
+     * @param {String} [direction] "next", "nextunique", "prev" or "prevunique".
+     * @returns {MemoryRequest}
+     */
+    openKeyCursor(query, direction = "next") {
+        return MemoryAdapter._openCursor(this, query, direction, false);
+    }
+
+    /**
+     * Gets an index of this store.
+     * @param {String} name
+     * @returns {MemoryIndex}
+     */
+    index(name) {
+        if(this.transaction._state === "finished") throw MemoryAdapter._error("InvalidStateError", "The transaction has finished.");
+        const data = this._data.indexes.get(name);
+        if(!data) throw MemoryAdapter._error("NotFoundError", `The index (${name}) was not found in store (${this.name}).`);
+        if(!this._indexes.has(data)) this._indexes.set(data, new MemoryIndex(this, data));
+        return this._indexes.get(data);
+    }
+
+    /**
+     * Creates an index. Only while upgrading.
+     * @param {String} name
+     * @param {String|Array.<String>} keyPath
+     * @param {{unique: Boolean, multiEntry: Boolean}} [options]
+     * @returns {MemoryIndex}
+     */
+    createIndex(name, keyPath, options = {}) {
+        this._checkUpgrading();
+        if(this._data.indexes.has(name)) throw MemoryAdapter._error("ConstraintError", `The index (${name}) already exists in store (${this.name}).`);
+        if(Array.isArray(keyPath) && options.multiEntry) throw MemoryAdapter._error("InvalidAccessError", "An index with a compound keyPath can't be multiEntry.");
+        this.transaction._touch(this._data);
+        const data = { name, keyPath, unique: Boolean(options.unique), multiEntry: Boolean(options.multiEntry), entries: [] };
+        const isBuilt = MemoryAdapter._buildIndex(this._data, data);
+        this._data.indexes.set(name, data);
+        // Like IndexedDB, rows breaking a new unique index fail the whole upgrade
+        if(!isBuilt) this.transaction._abort(MemoryAdapter._error("ConstraintError", `Rows in store (${this.name}) share values in the unique index (${name}).`));
+        return this.index(name);
+    }
+
+    /**
+     * Deletes an index. Only while upgrading.
+     * @param {String} name
+     */
+    deleteIndex(name) {
+        this._checkUpgrading();
+        if(!this._data.indexes.has(name)) throw MemoryAdapter._error("NotFoundError", `The index (${name}) was not found in store (${this.name}).`);
+        this.transaction._touch(this._data);
+        this._data.indexes.delete(name);
+    }
+
+    /**
+     * Adds a row.
+     * @param {*} value
+     * @param {*} key
+     * @param {Boolean} noOverwrite If true, fails if there already is a row with the same key.
+     * @returns {MemoryRequest}
+     */
+    _write(value, key, noOverwrite) {
+        this._checkWritable();
+        const data = this._data;
+        if(data.keyPath !== null && key !== undefined) throw MemoryAdapter._error("DataError", `Store (${this.name}) has a keyPath, so the key can't be passed separately.`);
+        if(data.keyPath === null && key === undefined && !data.autoIncrement) throw MemoryAdapter._error("DataError", `Store (${this.name}) has no keyPath and no key generator, so a key must be passed.`);
+        if(key !== undefined) MemoryAdapter._checkKey(key);
+        // Like IndexedDB, the row is copied straight away, so changing it afterwards changes nothing
+        const clone = MemoryAdapter._clone(value);
+        if(data.keyPath !== null) {
+            const inlineKey = MemoryAdapter._evaluateKeyPath(clone, data.keyPath);
+            if(inlineKey !== undefined || !data.autoIncrement) MemoryAdapter._checkKey(inlineKey);
+            key = inlineKey;
+        }
+        return this.transaction._request(this, () => MemoryAdapter._put(this.transaction, data, clone, key, noOverwrite));
+    }
+
+    /**
+     * Reads the rows in a range.
+     * @param {*} query
+     * @param {Function} read Receives the rows in the range and returns the result of the request.
+     * @returns {MemoryRequest}
+     */
+    _read(query, read) {
+        const range = MemoryAdapter._toRange(query);
+        return this.transaction._request(this, () => read(MemoryAdapter._getInRange(this._data.records, range)));
+    }
+
+    /**
+     * Makes sure rows can be written.
+     */
+    _checkWritable() {
+        this.transaction._checkActive();
+        if(this.transaction.mode === "readonly") throw MemoryAdapter._error("ReadOnlyError", "The transaction is read-only.");
+    }
+
+    /**
+     * Makes sure the store is being upgraded.
+     */
+    _checkUpgrading() {
+        if(this.transaction.mode !== "versionchange") throw MemoryAdapter._error("InvalidStateError", "Indexes can only be changed while upgrading.");
+        this.transaction._checkActive();
+    }
+}
+
+/**
+ * A transaction of a MemoryAdapter, the same as IDBTransaction.
+ *
+ * Requests are answered one at a time, each in a task of its own. The transaction commits once it has no requests left after answering one.
+ * Transactions with overlapping stores, where either writes, run one after the other.
+ */
+class MemoryTransaction {
+    /**
+     * The connection the transaction belongs to.
+     * @type {MemoryDatabase}
+     */
+    db = null;
+
+    /**
+     * "readonly", "readwrite" or "versionchange".
+     * @type {String}
+     */
+    mode = "readonly";
+
+    /**
+     * Why the transaction was aborted. Null if it wasn't, or if it was aborted on purpose.
+     * @type {Error|null}
+     */
+    error = null;
+
+    oncomplete = null;
+    onerror = null;
+    onabort = null;
+
+    /**
+     * @param {MemoryDatabase} connection
+     * @param {Array.<String>|null} scope The names of the stores the transaction can use. Null for every store.
+     * @param {String} mode
+     */
+    constructor(connection, scope, mode) {
+        this.db = connection;
+        this.mode = mode;
+        this._scope = scope;
+        this._requests = [];
+        this._state = "waiting";
+        this._isActive = true;
+        this._isCommitting = false;
+        this._isTickScheduled = false;
+        this._isAborted = false;
+        this._undo = new Map();
+        this._stores = new Map();
+        this._structure = null;
+        this._onFinish = null;
+        connection._transactions.add(this);
+        connection._data.transactions.push(this);
+        // The transaction stays active until the task creating it (and any promises it settles) has finished
+        this._scheduleTick();
+        connection._adapter._startTransactions(connection._data);
+    }
+
+    /**
+     * The names of the stores the transaction can use.
+     * @type {Array.<String>}
+     */
+    get objectStoreNames() {
+        return MemoryAdapter._stringList(this._scope || this.db._data.stores.keys());
+    }
+
+    /**
+     * Gets a store of the transaction.
+     * @param {String} name
+     * @returns {MemoryObjectStore}
+     */
+    objectStore(name) {
+        if(this._state === "finished") throw MemoryAdapter._error("InvalidStateError", "The transaction has finished.");
+        const data = this.db._data.stores.get(name);
+        if(!data || (this._scope && !this._scope.includes(name))) throw MemoryAdapter._error("NotFoundError", `The store (${name}) is not part of this transaction.`);
+        if(!this._stores.has(data)) this._stores.set(data, new MemoryObjectStore(this, data));
+        return this._stores.get(data);
+    }
+
+    /**
+     * Undoes every change made in the transaction.
+     */
+    abort() {
+        if(this._state === "finished" || this._isCommitting) throw MemoryAdapter._error("InvalidStateError", "The transaction has already finished.");
+        this._abort(null);
+    }
+
+    /**
+     * Commits once the requests made so far have been answered, without waiting for more.
+     */
+    commit() {
+        if(this._state === "finished") throw MemoryAdapter._error("InvalidStateError", "The transaction has already finished.");
+        this._checkActive();
+        this._isCommitting = true;
+        this._isActive = false;
+    }
+
+    /**
+     * Makes sure requests can be made.
+     */
+    _checkActive() {
+        if(this._state === "finished" || !this._isActive || this._isCommitting) throw MemoryAdapter._error("TransactionInactiveError", "The transaction has finished or is not active. Requests can only be made while answering another request of the transaction, or in the task that created it.");
+    }
+
+    /**
+     * Makes a request.
+     * @param {*} source
+     * @param {Function} operation Runs the request, returning its result or throwing why it failed.
+     * @returns {MemoryRequest}
+     */
+    _request(source, operation) {
+        this._checkActive();
+        const request = new MemoryRequest(source, this);
+        this._requests.push({ request, operation });
+        return request;
+    }
+
+    /**
+     * Makes a request again, for cursors.
+     * @param {MemoryRequest} request
+     * @param {Function} operation
+     */
+    _requeue(request, operation) {
+        this._checkActive();
+        request.readyState = "pending";
+        this._requests.push({ request, operation });
+    }
+
+    /**
+     * Notes how a store was before the transaction first changed it, so the changes can be undone.
+     * @param {Object} storeData
+     */
+    _touch(storeData) {
+        if(this._undo.has(storeData)) return;
+        this._undo.set(storeData, {
+            records: storeData.records.slice(),
+            currentKey: storeData.currentKey,
+            indexes: new Map([...storeData.indexes].map(([name, index]) => [name, { ...index, entries: index.entries.slice() }]))
+        });
+    }
+
+    /**
+     * Answers the next request in a task of its own.
+     */
+    _scheduleTick() {
+        if(this._isTickScheduled) return;
+        this._isTickScheduled = true;
+        MemoryAdapter._schedule(() => {
+            this._isTickScheduled = false;
+            this._tick();
+        });
+    }
+
+    /**
+     * Answers the next request, or commits if there are none left.
+     */
+    _tick() {
+        this._isActive = false;
+        if(this._state !== "running") return;
+        if(this._requests.length === 0) {
+            this._commit();
+            return;
+        }
+
+        const { request, operation } = this._requests.shift();
+        let result;
+        let error = null;
+        try {
+            result = operation();
+        } catch (caught) {
+            error = caught;
+        }
+        request.readyState = "done";
+        this._isActive = !this._isCommitting;
+        if(error) {
+            request.result = undefined;
+            request.error = error;
+            this._fireError(request);
+        } else {
+            request.result = result;
+            request.error = null;
+            const handlerError = MemoryAdapter._dispatch(request, MemoryAdapter._event("success", request));
+            if(handlerError) this._abort(MemoryAdapter._error("AbortError", `A success handler threw: ${handlerError.message}`));
+        }
+        this._scheduleTick();
+    }
+
+    /**
+     * Fires an error event on a failed request, passing it on to the transaction and the connection, and aborts unless a handler prevents it.
+     * @param {MemoryRequest} request
+     */
+    _fireError(request) {
+        const event = MemoryAdapter._event("error", request, {}, true);
+        let handlerError = null;
+        for(const target of [request, this, this.db]) {
+            handlerError = MemoryAdapter._dispatch(target, event) || handlerError;
+            if(event._isStopped) break;
+        }
+        if(this._state === "finished") return;
+        if(handlerError) this._abort(MemoryAdapter._error("AbortError", `An error handler threw: ${handlerError.message}`));
+        else if(!event.defaultPrevented) this._abort(request.error);
+    }
+
+    /**
+     * Commits the transaction.
+     */
+    _commit() {
+        if(this.mode !== "readonly") {
+            try {
+                this.db._adapter._save(this.db._data);
+            } catch (error) {
+                // IndexedDB reports storage failures as DOMExceptions, keeping the name of quota errors
+                const isQuotaError = error && error.name === "QuotaExceededError";
+                this._abort(MemoryAdapter._error(isQuotaError ? "QuotaExceededError" : "UnknownError", `The changes could not be saved: ${error && error.message}`));
+                return;
+            }
+        }
+        this._state = "finished";
+        MemoryAdapter._dispatch(this, MemoryAdapter._event("complete", this));
+        this._finish();
+    }
+
+    /**
+     * Undoes the changes of the transaction and fails its remaining requests.
+     * @param {Error|null} error
+     */
+    _abort(error) {
+        if(this._state === "finished") return;
+        this._state = "finished";
+        this._isActive = false;
+        this._isAborted = true;
+        this.error = error;
+        for(const [storeData, before] of this._undo) {
+            Object.assign(storeData, before);
+        }
+        if(this._structure) Object.assign(this.db._data, this._structure);
+
+        const pending = this._requests;
+        this._requests = [];
+        MemoryAdapter._schedule(() => {
+            for(const { request } of pending) {
+                request.readyState = "done";
+                request.result = undefined;
+                request.error = MemoryAdapter._error("AbortError", "The transaction was aborted.");
+                const event = MemoryAdapter._event("error", request, {}, true);
+                for(const target of [request, this, this.db]) {
+                    MemoryAdapter._dispatch(target, event);
+                    if(event._isStopped) break;
+                }
+            }
+            const event = MemoryAdapter._event("abort", this, {}, true);
+            MemoryAdapter._dispatch(this, event);
+            if(!event._isStopped) MemoryAdapter._dispatch(this.db, event);
+            this._finish();
+        });
+    }
+
+    /**
+     * Lets the transactions waiting for this one start.
+     */
+    _finish() {
+        const data = this.db._data;
+        data.transactions.splice(data.transactions.indexOf(this), 1);
+        this.db._transactions.delete(this);
+        this.db._adapter._startTransactions(data);
+        this.db._adapter._release(this.db);
+        if(this._onFinish) this._onFinish();
+    }
+}
+
+/**
+ * A connection to a database in a MemoryAdapter, the same as IDBDatabase.
+ */
+class MemoryDatabase {
+    /**
+     * The version of the database.
+     * @type {Number}
+     */
+    version = 0;
+
+    onversionchange = null;
+    onerror = null;
+    onabort = null;
+    onclose = null;
+
+    /**
+     * @param {MemoryAdapter} adapter
+     * @param {Object} data
+     */
+    constructor(adapter, data) {
+        this._adapter = adapter;
+        this._data = data;
+        this._transactions = new Set();
+        this._isClosed = false;
+        this._upgrade = null;
+        this.version = data.version;
+    }
+
+    /**
+     * The name of the database.
+     * @type {String}
+     */
+    get name() {
+        return this._data.name;
+    }
+
+    /**
+     * The names of the stores in the database.
+     * @type {Array.<String>}
+     */
+    get objectStoreNames() {
+        return MemoryAdapter._stringList(this._data.stores.keys());
+    }
+
+    /**
+     * Starts a transaction.
+     * @param {String|Array.<String>} storeNames
+     * @param {String} [mode] "readonly" or "readwrite".
+     * @returns {MemoryTransaction}
+     */
+    transaction(storeNames, mode = "readonly") {
+        if(this._isClosed) throw MemoryAdapter._error("InvalidStateError", "The connection has been closed.");
+        if(this._upgrade && this._upgrade._state !== "finished") throw MemoryAdapter._error("InvalidStateError", "The database is being upgraded.");
+        if(!["readonly", "readwrite"].includes(mode)) throw new TypeError(`Unknown transaction mode (${mode}). Use "readonly" or "readwrite".`);
+        const scope = [...new Set(typeof storeNames === "string" ? [storeNames] : storeNames)];
+        if(scope.length === 0) throw MemoryAdapter._error("InvalidAccessError", "A transaction needs at least one store.");
+        const missing = scope.find(name => !this._data.stores.has(name));
+        if(missing !== undefined) throw MemoryAdapter._error("NotFoundError", `The store (${missing}) was not found in database (${this.name}).`);
+        return new MemoryTransaction(this, scope, mode);
+    }
+
+    /**
+     * Creates a store. Only while upgrading.
+     * @param {String} name
+     * @param {{keyPath: String|Array.<String>, autoIncrement: Boolean}} [options]
+     * @returns {MemoryObjectStore}
+     */
+    createObjectStore(name, options = {}) {
+        const transaction = this._checkUpgrading();
+        const { keyPath = null, autoIncrement = false } = options;
+        if(this._data.stores.has(name)) throw MemoryAdapter._error("ConstraintError", `The store (${name}) already exists.`);
+        if(autoIncrement && (keyPath === "" || Array.isArray(keyPath))) throw MemoryAdapter._error("InvalidAccessError", "Stores with a key generator need a keyPath that is a single, non-empty path.");
+        this._data.stores.set(name, { name, keyPath, autoIncrement: Boolean(autoIncrement), currentKey: 1, records: [], indexes: new Map() });
+        return transaction.objectStore(name);
+    }
+
+    /**
+     * Deletes a store. Only while upgrading.
+     * @param {String} name
+     */
+    deleteObjectStore(name) {
+        this._checkUpgrading();
+        if(!this._data.stores.has(name)) throw MemoryAdapter._error("NotFoundError", `The store (${name}) was not found in database (${this.name}).`);
+        this._data.stores.delete(name);
+    }
+
+    /**
+     * Closes the connection once its transactions have finished.
+     */
+    close() {
+        this._isClosed = true;
+        this._adapter._release(this);
+    }
+
+    /**
+     * Makes sure the database is being upgraded.
+     * @returns {MemoryTransaction} The upgrade transaction.
+     */
+    _checkUpgrading() {
+        const transaction = this._upgrade;
+        if(!transaction || transaction._state === "finished") throw MemoryAdapter._error("InvalidStateError", "Stores can only be changed while upgrading.");
+        transaction._checkActive();
+        return transaction;
+    }
+}
+
+/**
+ * Keeps databases in memory instead of IndexedDB, with the same API as `window.indexedDB` (IDBFactory).
+ *
+ * Pass one to `LocalDatabase.init` to run anywhere IndexedDB is missing, such as Node, server side rendering or unit tests.
+ * Stores, indexes, key ordering, cursors, transactions and upgrades behave the same as in IndexedDB.
+ * Databases last as long as the adapter, unless `persistence` saves them somewhere.
+ */
+class MemoryAdapter {
+    /**
+     * @typedef MemoryPersistence
+     * @property {Function} load Receives the name of a database and returns what `save` was last given for it, or null.
+     * @property {Function} save Receives the name of a database and a plain object describing it after each change, or null once it has been deleted. Throw to fail the change.
+     */
+
+    /**
+     * Where databases are saved to, if anywhere.
+     * @type {MemoryPersistence|null}
+     */
+    persistence = null;
+
+    /**
+     * @param {{persistence: MemoryPersistence}} [options]
+     */
+    constructor(options = {}) {
+        this.persistence = options.persistence || null;
+        this._databases = new Map();
+        this._queues = new Map();
+    }
+
+    /**
+     * Opens a database, creating or upgrading it if needed, the same as `indexedDB.open`.
+     * @param {String} name
+     * @param {Number} [version] Defaults to the current version, or 1 for a new database.
+     * @returns {MemoryRequest} Fires "upgradeneeded" (and "blocked" while other connections are open) before "success" if the database is upgraded.
+     */
+    open(name, version) {
+        if(version !== undefined && (!Number.isInteger(version) || version < 1)) throw new TypeError(`The version (${version}) must be a whole number of 1 or greater.`);
+        const request = new MemoryRequest();
+        this._enqueue(String(name), done => this._open(request, String(name), version, done));
+        return request;
+    }
+
+    /**
+     * Deletes a database, the same as `indexedDB.deleteDatabase`.
+     * @param {String} name
+     * @returns {MemoryRequest}
+     */
+    deleteDatabase(name) {
+        const request = new MemoryRequest();
+        this._enqueue(String(name), done => {
+            const data = this._databases.get(String(name)) || this._load(String(name));
+            const finish = oldVersion => {
+                request.readyState = "done";
+                MemoryAdapter._dispatch(request, MemoryAdapter._event("success", request, { oldVersion, newVersion: null }));
+                done();
+            }
+            if(!data) {
+                finish(0);
+                return;
+            }
+            this._databases.set(data.name, data);
+            this._whenOthersClose(data, request, null, () => {
+                this._databases.delete(data.name);
+                if(this.persistence) this.persistence.save(data.name, null);
+                finish(data.version);
+            });
+        });
+        return request;
+    }
+
+    /**
+     * Compares two keys, the same as `indexedDB.cmp`.
+     * @param {*} keyA
+     * @param {*} keyB
+     * @returns {Number} -1, 0 or 1.
+     */
+    cmp(keyA, keyB) {
+        return MemoryAdapter.cmp(keyA, keyB);
+    }
+
+    /**
+     * Compares two keys the way IndexedDB does, so keys can be compared whichever adapter is used.
+     *
+     * Numbers come before dates, then strings, then binary keys, then arrays.
+     * @example MemoryAdapter.cmp(2, "1") // Result: -1
+     * @param {*} keyA
+     * @param {*} keyB
+     * @returns {Number} -1 if keyA comes first, 1 if keyB comes first, or 0 if they are equal.
+     */
+    static cmp(keyA, keyB) {
+        const typeA = MemoryAdapter._checkKey(keyA);
+        const typeB = MemoryAdapter._checkKey(keyB);
+        if(typeA !== typeB) return MemoryAdapter._keyTypes.indexOf(typeA) > MemoryAdapter._keyTypes.indexOf(typeB) ? 1 : -1;
+        switch(typeA) {
+            case "date":
+                return Math.sign(keyA.getTime() - keyB.getTime());
+            case "binary": {
+                const bytesA = MemoryAdapter._toBytes(keyA);
+                const bytesB = MemoryAdapter._toBytes(keyB);
+                for(let position = 0; position < Math.min(bytesA.length, bytesB.length); position++) {
+                    if(bytesA[position] !== bytesB[position]) return bytesA[position] > bytesB[position] ? 1 : -1;
+                }
+                return Math.sign(bytesA.length - bytesB.length);
+            }
+            case "array": {
+                for(let position = 0; position < Math.min(keyA.length, keyB.length); position++) {
+                    const comparison = MemoryAdapter.cmp(keyA[position], keyB[position]);
+                    if(comparison !== 0) return comparison;
+                }
+                return Math.sign(keyA.length - keyB.length);
+            }
+            default:
+                return keyA === keyB ? 0 : keyA > keyB ? 1 : -1;
+        }
+    }
+
+    /**
+     * Returns true if a value can be used as a key.
+     * @param {*} value
+     * @returns {Boolean}
+     */
+    static isValidKey(value) {
+        return MemoryAdapter._getKeyType(value) !== null;
+    }
+
+    /**
+     * The kinds of keys, in the order they are sorted in.
+     * @type {Array.<String>}
+     */
+    static _keyTypes = ["number", "date", "string", "binary", "array"];
+
+    /**
+     * Works out what kind of key a value is.
+     * @param {*} value
+     * @param {Set} [seen] The arrays already being checked, as arrays can't hold themselves.
+     * @returns {String|null} Null if the value is not a valid key.
+     */
+    static _getKeyType(value, seen = new Set()) {
+        if(typeof value === "number") return Number.isNaN(value) ? null : "number";
+        if(typeof value === "string") return "string";
+        if(value instanceof Date) return Number.isNaN(value.getTime()) ? null : "date";
+        if(value instanceof ArrayBuffer || ArrayBuffer.isView(value)) return "binary";
+        if(Array.isArray(value) && !seen.has(value)) {
+            seen.add(value);
+            const isValid = value.every(element => MemoryAdapter._getKeyType(element, seen) !== null);
+            seen.delete(value);
+            return isValid ? "array" : null;
+        }
+        return null;
+    }
+
+    /**
+     * Makes sure a value can be used as a key.
+     * @param {*} value
+     * @returns {String} What kind of key it is.
+     */
+    static _checkKey(value) {
+        const type = MemoryAdapter._getKeyType(value);
+        if(type === null) throw MemoryAdapter._error("DataError", "The value is not a valid key. Keys are numbers, strings, dates, binary data or arrays of keys.");
+        return type;
+    }
+
+    /**
+     * Copies a key, the same way IndexedDB gives keys back: binary keys become ArrayBuffers.
+     * @param {*} key
+     * @returns {*}
+     */
+    static _copyKey(key) {
+        if(key instanceof Date) return new Date(key.getTime());
+        if(key instanceof ArrayBuffer || ArrayBuffer.isView(key)) return MemoryAdapter._toBytes(key).slice().buffer;
+        if(Array.isArray(key)) return key.map(element => MemoryAdapter._copyKey(element));
+        return key;
+    }
+
+    /**
+     * Views the bytes of a binary key.
+     * @param {ArrayBuffer|ArrayBufferView} key
+     * @returns {Uint8Array}
+     */
+    static _toBytes(key) {
+        return key instanceof ArrayBuffer ? new Uint8Array(key) : new Uint8Array(key.buffer, key.byteOffset, key.byteLength);
+    }
+
+    /**
+     * The same key range as IDBKeyRange, for where IndexedDB isn't available.
+     * @type {typeof MemoryKeyRange}
+     */
+    static KeyRange = MemoryKeyRange;
+
+    /**
+     * Turns the query of a request into a key range.
+     * @param {*} query A key, a key range (MemoryKeyRange or IDBKeyRange), or nothing.
+     * @returns {MemoryKeyRange|null} Null for every key.
+     */
+    static _toRange(query) {
+        if(query === undefined || query === null) return null;
+        if(query instanceof MemoryKeyRange || (typeof IDBKeyRange !== "undefined" && query instanceof IDBKeyRange)) return query;
+        return MemoryKeyRange.only(query);
+    }
+
+    /**
+     * Returns true if a key is not below the lower bound of a range.
+     * @param {MemoryKeyRange|null} range
+     * @param {*} key
+     * @returns {Boolean}
+     */
+    static _isAboveLower(range, key) {
+        if(!range || range.lower === undefined) return true;
+        const comparison = MemoryAdapter.cmp(key, range.lower);
+        return comparison > 0 || (comparison === 0 && !range.lowerOpen);
+    }
+
+    /**
+     * Returns true if a key is not above the upper bound of a range.
+     * @param {MemoryKeyRange|null} range
+     * @param {*} key
+     * @returns {Boolean}
+     */
+    static _isBelowUpper(range, key) {
+        if(!range || range.upper === undefined) return true;
+        const comparison = MemoryAdapter.cmp(key, range.upper);
+        return comparison < 0 || (comparison === 0 && !range.upperOpen);
+    }
+
+    /**
+     * Returns true if a key is in a range.
+     * @param {MemoryKeyRange|null} range
+     * @param {*} key
+     * @returns {Boolean}
+     */
+    static _isInRange(range, key) {
+        return MemoryAdapter._isAboveLower(range, key) && MemoryAdapter._isBelowUpper(range, key);
+    }
+
+    /**
+     * Finds the first element of a sorted array that passes a test, where every element after it passes too.
+     * @param {Array} array
+     * @param {Function} test
+     * @returns {Number} The position of the element, or the length of the array if none pass.
+     */
+    static _firstIndex(array, test) {
+        let low = 0;
+        let high = array.length;
+        while(low < high) {
+            const middle = (low + high) >>> 1;
+            if(test(array[middle])) high = middle;
+            else low = middle + 1;
+        }
+        return low;
+    }
+
+    /**
+     * Gets the entries of a sorted array whose key is in a range.
+     * @param {Array.<{key: *}>} entries
+     * @param {MemoryKeyRange|null} range
+     * @returns {Array.<{key: *}>}
+     */
+    static _getInRange(entries, range) {
+        const start = MemoryAdapter._firstIndex(entries, entry => MemoryAdapter._isAboveLower(range, entry.key));
+        const end = MemoryAdapter._firstIndex(entries, entry => !MemoryAdapter._isBelowUpper(range, entry.key));
+        return entries.slice(start, Math.max(start, end));
+    }
+
+    /**
+     * Limits a list to a number of elements.
+     * @param {Array} array
+     * @param {Number} [count] Every element if not given or 0.
+     * @returns {Array}
+     */
+    static _limit(array, count) {
+        return count ? array.slice(0, count) : array;
+    }
+
+    /**
+     * Finds the row with a key.
+     * @param {Object} storeData
+     * @param {*} key
+     * @returns {{key: *, value: *}|undefined}
+     */
+    static _findRecord(storeData, key) {
+        const record = storeData.records[MemoryAdapter._firstIndex(storeData.records, candidate => MemoryAdapter.cmp(candidate.key, key) >= 0)];
+        return record && MemoryAdapter.cmp(record.key, key) === 0 ? record : undefined;
+    }
+
+    /**
+     * Compares index entries by their key, then by the key of their row.
+     * @param {{key: *, primaryKey: *}} entryA
+     * @param {{key: *, primaryKey: *}} entryB
+     * @returns {Number}
+     */
+    static _compareEntries(entryA, entryB) {
+        return MemoryAdapter.cmp(entryA.key, entryB.key) || MemoryAdapter.cmp(entryA.primaryKey, entryB.primaryKey);
+    }
+
+    /**
+     * Gets the value at a keyPath.
+     * @param {*} value
+     * @param {String|Array.<String>} keyPath
+     * @returns {*} Undefined if the value has nothing there. For compound keyPaths, an array of the values, or undefined if one is missing.
+     */
+    static _evaluateKeyPath(value, keyPath) {
+        if(Array.isArray(keyPath)) {
+            const values = keyPath.map(path => MemoryAdapter._evaluateKeyPath(value, path));
+            return values.includes(undefined) ? undefined : values;
+        }
+        if(keyPath === "") return value;
+        return keyPath.split(".").reduce((current, property) => current === undefined || current === null || typeof current !== "object" && typeof current !== "string" ? undefined : current[property], value);
+    }
+
+    /**
+     * Gets the keys a row has in an index.
+     * @param {Object} index
+     * @param {*} value
+     * @returns {Array} Empty if the row is not in the index.
+     */
+    static _getIndexKeys(index, value) {
+        const key = MemoryAdapter._evaluateKeyPath(value, index.keyPath);
+        if(index.multiEntry && Array.isArray(key)) {
+            const keys = [];
+            for(const element of key) {
+                if(MemoryAdapter.isValidKey(element) && !keys.some(existing => MemoryAdapter.cmp(existing, element) === 0)) keys.push(MemoryAdapter._copyKey(element));
+            }
+            return keys;
+        }
+        return MemoryAdapter.isValidKey(key) ? [MemoryAdapter._copyKey(key)] : [];
+    }
+
+    /**
+     * Adds every row of a store to a new index.
+     * @param {Object} storeData
+     * @param {Object} index
+     * @returns {Boolean} False if the index is unique and rows share a value.
+     */
+    static _buildIndex(storeData, index) {
+        for(const record of storeData.records) {
+            for(const key of MemoryAdapter._getIndexKeys(index, record.value)) {
+                index.entries.push({ key, primaryKey: record.key });
+            }
+        }
+        index.entries.sort(MemoryAdapter._compareEntries);
+        return !index.unique || index.entries.every((entry, position) => position === 0 || MemoryAdapter.cmp(entry.key, index.entries[position - 1].key) !== 0);
+    }
+
+    /**
+     * Adds a row to a store and its indexes.
+     * @param {MemoryTransaction} transaction
+     * @param {Object} storeData
+     * @param {*} value A copy of the row.
+     * @param {*} key Undefined to generate one.
+     * @param {Boolean} noOverwrite If true, fails if there already is a row with the same key.
+     * @returns {*} The key.
+     */
+    static _put(transaction, storeData, value, key, noOverwrite) {
+        transaction._touch(storeData);
+        if(key === undefined) {
+            if(storeData.currentKey > Number.MAX_SAFE_INTEGER) throw MemoryAdapter._error("ConstraintError", `The key generator of store (${storeData.name}) has run out of keys.`);
+            key = storeData.currentKey++;
+            if(storeData.keyPath !== null) MemoryAdapter._injectKey(value, storeData.keyPath, key);
+        } else if(storeData.autoIncrement && typeof key === "number" && key >= storeData.currentKey) {
+            storeData.currentKey = Math.floor(key) + 1;
+        }
+        key = MemoryAdapter._copyKey(key);
+
+        const records = storeData.records;
+        const position = MemoryAdapter._firstIndex(records, record => MemoryAdapter.cmp(record.key, key) >= 0);
+        const existing = records[position] && MemoryAdapter.cmp(records[position].key, key) === 0 ? records[position] : undefined;
+        if(existing && noOverwrite) throw MemoryAdapter._error("ConstraintError", `A row with the same key already exists in store (${storeData.name}).`);
+
+        // Check the unique indexes before changing anything
+        const indexKeys = [...storeData.indexes.values()].map(index => [index, MemoryAdapter._getIndexKeys(index, value)]);
+        for(const [index, keys] of indexKeys) {
+            if(!index.unique) continue;
+            for(const indexKey of keys) {
+                const entry = index.entries[MemoryAdapter._firstIndex(index.entries, candidate => MemoryAdapter.cmp(candidate.key, indexKey) >= 0)];
+                if(entry && MemoryAdapter.cmp(entry.key, indexKey) === 0 && MemoryAdapter.cmp(entry.primaryKey, key) !== 0)
+                    throw MemoryAdapter._error("ConstraintError", `Another row in store (${storeData.name}) has the same value in the unique index (${index.name}).`);
+            }
+        }
+
+        if(existing) MemoryAdapter._removeFromIndexes(storeData, existing);
+        records.splice(position, existing ? 1 : 0, { key, primaryKey: key, value });
+        for(const [index, keys] of indexKeys) {
+            for(const indexKey of keys) {
+                const entry = { key: indexKey, primaryKey: key };
+                index.entries.splice(MemoryAdapter._firstIndex(index.entries, candidate => MemoryAdapter._compareEntries(candidate, entry) >= 0), 0, entry);
+            }
+        }
+        return MemoryAdapter._copyKey(key);
+    }
+
+    /**
+     * Deletes the rows in a range from a store and its indexes.
+     * @param {MemoryTransaction} transaction
+     * @param {Object} storeData
+     * @param {MemoryKeyRange|null} range Null for every row.
+     */
+    static _delete(transaction, storeData, range) {
+        transaction._touch(storeData);
+        if(range === null) {
+            storeData.records = [];
+            for(const index of storeData.indexes.values()) {
+                index.entries = [];
+            }
+            return undefined;
+        }
+        const start = MemoryAdapter._firstIndex(storeData.records, record => MemoryAdapter._isAboveLower(range, record.key));
+        const end = MemoryAdapter._firstIndex(storeData.records, record => !MemoryAdapter._isBelowUpper(range, record.key));
+        for(const record of storeData.records.splice(start, Math.max(0, end - start))) {
+            MemoryAdapter._removeFromIndexes(storeData, record);
+        }
+        return undefined;
+    }
+
+    /**
+     * Removes a row from the indexes of its store.
+     * @param {Object} storeData
+     * @param {{key: *, value: *}} record
+     */
+    static _removeFromIndexes(storeData, record) {
+        for(const index of storeData.indexes.values()) {
+            for(const indexKey of MemoryAdapter._getIndexKeys(index, record.value)) {
+                const entry = { key: indexKey, primaryKey: record.key };
+                const position = MemoryAdapter._firstIndex(index.entries, candidate => MemoryAdapter._compareEntries(candidate, entry) >= 0);
+                if(index.entries[position] && MemoryAdapter._compareEntries(index.entries[position], entry) === 0) index.entries.splice(position, 1);
+            }
+        }
+    }
+
+    /**
+     * Puts a generated key into a row.
+     * @param {Object} value
+     * @param {String} keyPath
+     * @param {Number} key
+     */
+    static _injectKey(value, keyPath, key) {
+        const properties = keyPath.split(".");
+        const last = properties.pop();
+        let parent = value;
+        for(const property of properties) {
+            if(parent[property] === undefined) parent[property] = {};
+            parent = parent[property];
+            if(parent === null || typeof parent !== "object") throw MemoryAdapter._error("DataError", `The generated key can't be put at (${keyPath}) in the row.`);
+        }
+        if(parent === null || typeof parent !== "object") throw MemoryAdapter._error("DataError", `The generated key can't be put at (${keyPath}) in the row.`);
+        parent[last] = key;
+    }
+
+    /**
+     * Opens a cursor on a store or index.
+     * @param {MemoryObjectStore|MemoryIndex} source
+     * @param {*} query
+     * @param {String} direction
+     * @param {Boolean} withValue
+     * @returns {MemoryRequest}
+     */
+    static _openCursor(source, query, direction, withValue) {
+        if(!["next", "nextunique", "prev", "prevunique"].includes(direction)) throw new TypeError(`Unknown cursor direction (${direction}).`);
+        const cursor = new MemoryCursor(source, MemoryAdapter._toRange(query), direction, withValue);
+        cursor.request = source.transaction._request(source, () => cursor._step());
+        return cursor.request;
+    }
+
+    /**
+     * Copies a row, the same way IndexedDB stores it.
+     * @param {*} value
+     * @returns {*}
+     */
+    static _clone(value) {
+        try {
+            return structuredClone(value);
+        } catch (error) {
+            throw MemoryAdapter._error("DataCloneError", `The row can't be stored: ${error.message}`);
+        }
+    }
+
+    /**
+     * Lists names the way IndexedDB does: sorted, with `contains`.
+     * @param {Iterable.<String>} names
+     * @returns {Array.<String>}
+     */
+    static _stringList(names) {
+        const list = [...names].sort();
+        list.contains = name => list.includes(name);
+        list.item = position => position < list.length ? list[position] : null;
+        return list;
+    }
+
+    /**
+     * Creates an error with the same name IndexedDB would use.
+     * @param {String} name
+     * @param {String} message
+     * @returns {Error}
+     */
+    static _error(name, message) {
+        if(typeof DOMException !== "undefined") return new DOMException(message, name);
+        const error = new Error(message);
+        error.name = name;
+        return error;
+    }
+
+    /**
+     * Creates an event.
+     * @param {String} type
+     * @param {*} target
+     * @param {Object} [properties] Extra properties, such as `oldVersion`.
+     * @param {Boolean} [bubbles]
+     * @returns {Object}
+     */
+    static _event(type, target, properties = {}, bubbles = false) {
+        return {
+            type,
+            target,
+            currentTarget: target,
+            bubbles,
+            defaultPrevented: false,
+            _isStopped: !bubbles,
+            preventDefault() { this.defaultPrevented = true; },
+            stopPropagation() { this._isStopped = true; },
+            ...properties
+        };
+    }
+
+    /**
+     * Calls the handler of an event.
+     * @param {Object} target
+     * @param {Object} event
+     * @returns {Error|null} What the handler threw, if anything.
+     */
+    static _dispatch(target, event) {
+        const handler = target[`on${event.type}`];
+        if(typeof handler !== "function") return null;
+        event.currentTarget = target;
+        try {
+            handler.call(target, event);
+            return null;
+        } catch (error) {
+            console.error(`Uncaught error in the ${event.type} handler of a MemoryAdapter request:`, error);
+            return error;
+        }
+    }
+
+    /**
+     * Runs a callback in a task of its own, after any promises have settled, the same as IndexedDB fires its events.
+     * @param {Function} callback
+     */
+    static _schedule(callback) {
+        if(typeof setImmediate === "function") {
+            setImmediate(callback);
+            return;
+        }
+        if(typeof MessageChannel === "undefined") {
+            setTimeout(callback, 0);
+            return;
+        }
+        if(!MemoryAdapter._channel) {
+            // Messages are delivered in tasks without the delay browsers add to nested timeouts
+            MemoryAdapter._channel = new MessageChannel();
+            MemoryAdapter._callbacks = [];
+            MemoryAdapter._channel.port1.onmessage = () => MemoryAdapter._callbacks.shift()();
+        }
+        MemoryAdapter._callbacks.push(callback);
+        MemoryAdapter._channel.port2.postMessage(null);
+    }
+
+    /**
+     * Runs opens and deletes of the same database one at a time.
+     * @param {String} name
+     * @param {Function} task Receives a function to call once it has finished.
+     */
+    _enqueue(name, task) {
+        const previous = this._queues.get(name) || Promise.resolve();
+        const next = previous.then(() => new Promise(done => MemoryAdapter._schedule(() => task(done))));
+        this._queues.set(name, next);
+    }
+
+    /**
+     * Opens a database.
+     * @param {MemoryRequest} request
+     * @param {String} name
+     * @param {Number} [version]
+     * @param {Function} done
+     */
+    _open(request, name, version, done) {
+        let data = this._databases.get(name) || this._load(name);
+        const isNew = !data;
+        if(isNew) data = { name, version: 0, stores: new Map(), transactions: [], connections: new Set(), waiters: [] };
+        const newVersion = version === undefined ? Math.max(data.version, 1) : version;
+        request.readyState = "done";
+        if(newVersion < data.version) {
+            request.error = MemoryAdapter._error("VersionError", `The requested version (${newVersion}) is less than the existing version (${data.version}).`);
+            MemoryAdapter._dispatch(request, MemoryAdapter._event("error", request, {}, true));
+            done();
+            return;
+        }
+        this._databases.set(name, data);
+        const connection = new MemoryDatabase(this, data);
+        if(newVersion === data.version) {
+            data.connections.add(connection);
+            request.result = connection;
+            MemoryAdapter._dispatch(request, MemoryAdapter._event("success", request));
+            done();
+            return;
+        }
+
+        this._whenOthersClose(data, request, newVersion, () => {
+            const oldVersion = data.version;
+            data.connections.add(connection);
+            const transaction = new MemoryTransaction(connection, null, "versionchange");
+            transaction._structure = { version: oldVersion, stores: new Map(data.stores) };
+            data.version = newVersion;
+            connection.version = newVersion;
+            connection._upgrade = transaction;
+            request.result = connection;
+            request.transaction = transaction;
+            transaction._onFinish = () => {
+                connection._upgrade = null;
+                request.transaction = null;
+                if(transaction._isAborted) {
+                    connection.version = oldVersion;
+                    connection.close();
+                    if(isNew) this._databases.delete(name);
+                    request.result = undefined;
+                    request.error = MemoryAdapter._error("AbortError", "The upgrade transaction was aborted.");
+                    MemoryAdapter._dispatch(request, MemoryAdapter._event("error", request, {}, true));
+                } else {
+                    MemoryAdapter._dispatch(request, MemoryAdapter._event("success", request));
+                }
+                done();
+            }
+            const handlerError = MemoryAdapter._dispatch(request, MemoryAdapter._event("upgradeneeded", request, { oldVersion, newVersion }));
+            if(handlerError) transaction._abort(MemoryAdapter._error("AbortError", `The upgradeneeded handler threw: ${handlerError.message}`));
+        });
+    }
+
+    /**
+     * Asks the other connections to a database to close, then waits until they have and their transactions have finished.
+     * @param {Object} data
+     * @param {MemoryRequest} request Told it is blocked if connections stay open.
+     * @param {Number|null} newVersion Null if the database is being deleted.
+     * @param {Function} proceed
+     */
+    _whenOthersClose(data, request, newVersion, proceed) {
+        const oldVersion = data.version;
+        for(const connection of [...data.connections]) {
+            if(!connection._isClosed) MemoryAdapter._dispatch(connection, MemoryAdapter._event("versionchange", connection, { oldVersion, newVersion }));
+        }
+        if(data.connections.size === 0) {
+            proceed();
+            return;
+        }
+        if([...data.connections].some(connection => !connection._isClosed)) MemoryAdapter._dispatch(request, MemoryAdapter._event("blocked", request, { oldVersion, newVersion }));
+        data.waiters.push(() => {
+            if(data.connections.size > 0) return false;
+            MemoryAdapter._schedule(proceed);
+            return true;
+        });
+    }
+
+    /**
+     * Lets go of a connection once it is closed and its transactions have finished.
+     * @param {MemoryDatabase} connection
+     */
+    _release(connection) {
+        const data = connection._data;
+        if(!connection._isClosed || connection._transactions.size > 0 || !data.connections.has(connection)) return;
+        data.connections.delete(connection);
+        data.waiters = data.waiters.filter(waiter => !waiter());
+    }
+
+    /**
+     * Starts the transactions that no earlier transaction is holding up.
+     * @param {Object} data
+     */
+    _startTransactions(data) {
+        data.transactions.forEach((transaction, position) => {
+            if(transaction._state !== "waiting") return;
+            const isHeldUp = data.transactions.slice(0, position).some(earlier => earlier._state !== "finished"
+                && (earlier.mode !== "readonly" || transaction.mode !== "readonly")
+                && (!earlier._scope || !transaction._scope || earlier._scope.some(name => transaction._scope.includes(name))));
+            if(isHeldUp) return;
+            transaction._state = "running";
+            transaction._scheduleTick();
+        });
+    }
+
+    /**
+     * Reads a saved database.
+     * @param {String} name
+     * @returns {Object|null} Null if the database has not been saved.
+     */
+    _load(name) {
+        const saved = this.persistence && this.persistence.load(name);
+        if(!saved) return null;
+        const data = { name, version: saved.version, stores: new Map(), transactions: [], connections: new Set(), waiters: [] };
+        for(const [storeName, store] of Object.entries(saved.stores)) {
+            const storeData = { name: storeName, keyPath: store.keyPath, autoIncrement: store.autoIncrement, currentKey: store.currentKey, records: store.records.map(([key, value]) => ({ key, primaryKey: key, value })), indexes: new Map() };
+            for(const { name: indexName, keyPath, unique, multiEntry } of store.indexes) {
+                const index = { name: indexName, keyPath, unique, multiEntry, entries: [] };
+                MemoryAdapter._buildIndex(storeData, index);
+                storeData.indexes.set(indexName, index);
+            }
+            data.stores.set(storeName, storeData);
+        }
+        return data;
+    }
+
+    /**
+     * Saves a database, if the adapter has somewhere to save it.
+     * @param {Object} data
+     */
+    _save(data) {
+        if(!this.persistence) return;
+        const stores = {};
+        for(const [storeName, storeData] of data.stores) {
+            stores[storeName] = {
+                keyPath: storeData.keyPath,
+                autoIncrement: storeData.autoIncrement,
+                currentKey: storeData.currentKey,
+                indexes: [...storeData.indexes.values()].map(({ name, keyPath, unique, multiEntry }) => ({ name, keyPath, unique, multiEntry })),
+                records: storeData.records.map(record => [record.key, record.value])
+            };
+        }
+        this.persistence.save(data.name, { version: data.version, stores });
+    }
+}
+
+export default MemoryAdapter;
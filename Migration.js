@@ -0,0 +1,91 @@
+/**
+ * A migration for a database using LocalDatabase.
+ * 
+ * Migrations describe how to move an existing database from the previous version up to `version`.
+ * Fresh databases are built straight from the tables in the DatabaseSchema, so migrations only ever run on databases that already hold data.
+ */
+class Migration {
+    /**
+     * @typedef MigrationStep
+     * @property {String} action One of "createTable", "dropTable", "addColumn", "removeColumn" or "transform".
+     * @property {String} table The name of the table this step acts on.
+     * @property {TableSchema} [tableSchema] The table to create. Only used by "createTable".
+     * @property {ColumnSchema} [column] The column to add. Only used by "addColumn".
+     * @property {String} [columnName] The name of the column to remove. Only used by "removeColumn".
+     * @property {Function} [callback] Receives each row and returns the row to store in its place. Only used by "transform".
+     */
+
+    /**
+     * The database version this migration upgrades to.
+     * @type {Number}
+     */
+    version = 1;
+
+    /**
+     * The steps to run, in order, when upgrading to this version.
+     * @type {Array.<MigrationStep>}
+     */
+    steps = [];
+
+    /**
+     * Generates a migration for use in DatabaseSchema.
+     * @param {Number} version The database version this migration upgrades to.
+     * @param {Array.<MigrationStep>} [steps] The steps to run, in order. Build these with the static Migration helpers.
+     */
+    constructor(version, steps = []) {
+        if(!Number.isInteger(version) || version < 1) throw Error(`Error in Migration. Attempting to generate a migration with an invalid version (${version}). Versions must be whole numbers of 1 or greater.`);
+        this.version = version;
+        this.steps = steps;
+    }
+
+    /**
+     * Creates a table along with all of its columns.
+     * @param {TableSchema} tableSchema The table to create.
+     * @returns {MigrationStep}
+     */
+    static createTable(tableSchema) {
+        return { action: "createTable", table: tableSchema.name, tableSchema };
+    }
+
+    /**
+     * Drops a table and every row inside of it.
+     * @param {String} table The name of the table to drop.
+     * @returns {MigrationStep}
+     */
+    static dropTable(table) {
+        return { action: "dropTable", table };
+    }
+
+    /**
+     * Adds a searchable column (index) to an existing table. Existing rows are indexed automatically.
+     * @param {String} table The name of the table to add the column to.
+     * @param {ColumnSchema} column The column to add.
+     * @returns {MigrationStep}
+     */
+    static addColumn(table, column) {
+        return { action: "addColumn", table, column };
+    }
+
+    /**
+     * Removes a searchable column (index) from a table. The values stay on the rows, they just can no longer be searched.
+     * @param {String} table The name of the table to remove the column from.
+     * @param {String} columnName The name of the column to remove.
+     * @returns {MigrationStep}
+     */
+    static removeColumn(table, columnName) {
+        return { action: "removeColumn", table, columnName };
+    }
+
+    /**
+     * Rewrites every row of a table.
+     * @example Migration.transform("People", person => ({ ...person, fullName: `${person.firstName} ${person.lastName}` }))
+     * @param {String} table The name of the table to rewrite.
+     * @param {Function} callback Receives each row and returns the row to store in its place. Returning `undefined` stores the (possibly mutated) row that was passed in.
+     * @returns {MigrationStep}
+     */
+    static transform(table, callback) {
+        return { action: "transform", table, callback };
+    }
+}
+
+export default Migration;
\ No newline at end of file
@@ -1,3 +1,5 @@
+import ColumnSchema from './ColumnSchema';
+
 /**
  * The schema for a table using LocalDatabase.
  */
@@ -10,7 +12,7 @@ class TableSchema {
     /**
      * The primary column of the table. 
      * In other software this may be referred to as a keypath or a primary key.
-     * This must not have any duplicates!
+     * This must not have any duplicates! Use a compound column for a key made of several columns.
      * @type {ColumnSchema}
      */
     keyColumn = null;
@@ -24,6 +26,40 @@ class TableSchema {
      * @type {Boolean}
      */
     autoIncrement = false;
+    /**
+     * The functions run when rows of this table are added, deleted or selected, by hook name.
+     * @type {Object.<Array.<Function>>}
+     */
+    hooks = {};
+    /**
+     * The names of the other tables the hooks of this table use. They are made part of the transactions the hooks run in.
+     * @type {Array.<String>}
+     */
+    hookTables = [];
+    /**
+     * If true, rows get a `createdAt` date when they are first added and an `updatedAt` date each time they are written.
+     * @type {Boolean}
+     */
+    timestamps = false;
+    /**
+     * If true, deleting rows marks them with a `deletedAt` date instead of removing them, and they are left out of queries until they are restored.
+     * @type {Boolean}
+     */
+    softDelete = false;
+
+    /**
+     * The names of the hooks that can be given to a table.
+     * @type {Array.<String>}
+     */
+    static hookNames = ["beforeAdd", "afterAdd", "beforeDelete", "afterDelete", "beforeSelect", "afterSelect"];
+
+    /**
+     * @typedef TableOptions
+     * @property {Object.<Function|Array.<Function>>} [hooks] The functions to run when rows of this table are added, deleted or selected, by hook name. See `LocalDatabase.hook`.
+     * @property {Array.<String>} [hookTables] The names of the other tables the hooks use, such as a table they write audit rows to.
+     * @property {Boolean} [timestamps] If true, the table gets searchable `createdAt` and `updatedAt` columns that are filled in whenever rows are written.
+     * @property {Boolean} [softDelete] If true, the table gets a searchable `deletedAt` column, and deleting rows marks them with it instead of removing them. See `LocalDatabase.restore` and `LocalDatabase.purge`.
+     */
 
     /**
      * Generates a table blueprint for use in DatabaseSchema.
@@ -31,15 +67,29 @@ class TableSchema {
      * @param {ColumnSchema} keyColumn The primary column for this table. This column must not have any duplicates!
      * @param {Array.<ColumnSchema>} [otherColumns] An array of all of the other columns you want to have in this table.
      * @param {Boolean} [autoIncrement] If true, the table has a key generator.
+     * @param {TableOptions} [options] 
      */
-    constructor(name, keyColumn, otherColumns = [], autoIncrement = false) {
+    constructor(name, keyColumn, otherColumns = [], autoIncrement = false, options = {}) {
         if(!name) throw Error("Error in TableSchema. Attempting to generate a table without providing a table name.");
         if(!keyColumn) throw Error("Error in TableSchema. Attempting to generate a table without providing a key column.");
+        if(keyColumn.isCompound && autoIncrement) throw Error(`Error in TableSchema. Attempting to generate table (${name}) with a compound key column and autoIncrement. Compound keys cannot be generated.`);
+        const { hooks = {}, hookTables = [], timestamps = false, softDelete = false } = options;
+        for(const [hookName, handlers] of Object.entries(hooks)) {
+            if(!TableSchema.hookNames.includes(hookName)) throw Error(`Error in TableSchema. Attempting to generate table (${name}) with an unknown hook (${hookName}). Use one of: ${TableSchema.hookNames.join(", ")}.`);
+            if([handlers].flat().some(handler => typeof handler !== "function")) throw Error(`Error in TableSchema. Attempting to generate table (${name}) with a hook (${hookName}) that is not a function.`);
+        }
         if(otherColumns.includes(keyColumn) || new Set(otherColumns).size !== otherColumns.length) console.warn("Warning in TableSchema. You are trying to generate a table using duplicate columns. Make sure you have not included your chosen keyColumn in the \"otherColumns\" parameter.");
         this.name = name
         this.keyColumn = keyColumn;
-        this.otherColumns = otherColumns;
         this.autoIncrement = autoIncrement;
+        this.timestamps = timestamps;
+        this.softDelete = softDelete;
+        // The columns the table looks after itself, unless they are already in the table
+        const managedColumns = [...(timestamps ? ["createdAt", "updatedAt"] : []), ...(softDelete ? ["deletedAt"] : [])]
+            .filter(columnName => ![keyColumn, ...otherColumns].some(column => column.name === columnName));
+        this.otherColumns = [...otherColumns, ...managedColumns.map(columnName => new ColumnSchema(columnName, { type: "date" }))];
+        this.hooks = Object.fromEntries(Object.entries(hooks).map(([hookName, handlers]) => [hookName, [handlers].flat()]));
+        this.hookTables = hookTables;
     }
     
 }
@@ -0,0 +1,73 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadLocalDatabase } = require("./helpers");
+
+const open = async () => {
+    const LocalDatabase = loadLocalDatabase();
+    const { Database, Table, Column } = LocalDatabase;
+    await LocalDatabase.init(new Database("Shop", [
+        new Table("People", new Column("id"), [new Column("email", { unique: true }), new Column("age", { type: "number" })]),
+        new Table("Orders", new Column("id"), [new Column("personId", { references: "People" })]),
+        new Table("Codes", new Column("code", { type: "string" }), [])
+    ]));
+    return LocalDatabase;
+}
+
+test("importCSV converts key and reference fields the same way whatever the tables hold", async () => {
+    const csv = "id,personId\n1,1\n2,1\n";
+
+    const empty = await open();
+    await empty.add("People", { id: 1 });
+    assert.deepEqual(await empty.importCSV("Orders", csv), { inserted: 2, updated: 0, errors: [] });
+
+    const filled = await open();
+    await filled.add("People", { id: 1 });
+    await filled.add("Orders", { id: 10, personId: 1 });
+    await filled.importCSV("Orders", csv);
+
+    assert.deepEqual(await empty.select("Orders"), [{ id: 1, personId: 1 }, { id: 2, personId: 1 }]);
+    assert.deepEqual(await filled.select("Orders", { id: { $lt: 10 } }), await empty.select("Orders"));
+});
+
+test("importCSV keeps the declared type of a key column", async () => {
+    const LocalDatabase = await open();
+    await LocalDatabase.importCSV("Codes", "code\n007\n42\n");
+    assert.deepEqual(await LocalDatabase.select("Codes"), [{ code: "007" }, { code: "42" }]);
+});
+
+test("importCSV reports the rows it can't add with their line, and adds the rest", async () => {
+    const LocalDatabase = await open();
+    await LocalDatabase.add("People", { id: 1, email: "ann@example.com" });
+
+    const { inserted, updated, errors } = await LocalDatabase.importCSV("People", [
+        "id,email,age",
+        "2,bob@example.com,30",
+        "3,ann@example.com,40",
+        "4,cy@example.com,old",
+        "5,\"di@example.com\",50",
+        "6,broken\"quote,1"
+    ].join("\n"));
+    assert.deepEqual({ inserted, updated }, { inserted: 2, updated: 0 });
+    assert.deepEqual(errors.map(error => error.line), [3, 4, 6]);
+    assert.match(errors[0].message, /unique column/);
+    assert.match(errors[1].message, /Column \(age\) must be a number/);
+    assert.deepEqual((await LocalDatabase.select("People")).map(row => row.id), [1, 2, 5]);
+
+    const orders = await LocalDatabase.importCSV("Orders", "id,personId\n1,2\n2,99\n");
+    assert.equal(orders.inserted, 1);
+    assert.deepEqual(orders.errors.map(error => error.line), [3]);
+    assert.match(orders.errors[0].message, /references the keys \[99\]/);
+});
+
+test("exportCSV and importCSV round trip quotes, commas and line breaks", async () => {
+    const LocalDatabase = await open();
+    const rows = [{ id: 1, email: "\"Ann\", the first\nof her name", age: 30 }, { id: 2, email: "bob@example.com" }];
+    await LocalDatabase.multiAdd("People", rows);
+
+    const csv = await LocalDatabase.exportCSV("People");
+    assert.equal(csv, "id,email,age\r\n1,\"\"\"Ann\"\", the first\nof her name\",30\r\n2,bob@example.com,\r\n");
+
+    await LocalDatabase.delete("People", {});
+    assert.deepEqual(await LocalDatabase.importCSV("People", csv), { inserted: 2, updated: 0, errors: [] });
+    assert.deepEqual(await LocalDatabase.select("People"), rows);
+});
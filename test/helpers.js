@@ -0,0 +1,61 @@
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { IDBFactory, IDBKeyRange } = require("fake-indexeddb");
+
+const code = fs.readFileSync(path.join(__dirname, "..", "LocalDatabase.all.js"), "utf8");
+
+/**
+ * Loads a fresh copy of LocalDatabase.all.js, as if in its own browser tab.
+ *
+ * Each copy gets its own classes and default instance. Copies given the same `indexedDB` share their databases, like tabs of the same site.
+ * @param {Object} [globals]
+ * @param {IDBFactory} [globals.indexedDB] Where the databases are kept. Defaults to a new, empty fake IndexedDB.
+ * @param {Navigator} [globals.navigator] Gives the copy `navigator.locks`. There is none by default.
+ * @returns {typeof LocalDatabase}
+ */
+function loadLocalDatabase({ indexedDB = new IDBFactory(), navigator } = {}) {
+    // Quiet the log of every init, but keep warnings and errors
+    const quietConsole = { ...console, log: () => {} };
+    const load = vm.runInThisContext(`(function(indexedDB, IDBKeyRange, navigator, BroadcastChannel, console) {\n${code}\nreturn LocalDatabase;\n})`, { filename: "LocalDatabase.all.js", lineOffset: -1 });
+    const LocalDatabase = load(indexedDB, IDBKeyRange, navigator, undefined, quietConsole);
+    LocalDatabase.defaultAdapter = indexedDB;
+    return LocalDatabase;
+}
+
+/**
+ * Web Locks shared between the copies given it, granting each lock to one request at a time in the order they were made.
+ * @returns {LockManager}
+ */
+function createLocks() {
+    const queues = {};
+    const held = new Set();
+    const grant = name => {
+        if(held.has(name) || !queues[name] || queues[name].length === 0) return;
+        const { callback, success, reject } = queues[name].shift();
+        held.add(name);
+        Promise.resolve().then(callback).then(success, reject).finally(() => {
+            held.delete(name);
+            grant(name);
+        });
+    }
+    return {
+        request(name, options, callback) {
+            return new Promise((success, reject) => {
+                const entry = { callback, success, reject };
+                if(options.signal) options.signal.addEventListener("abort", () => {
+                    const position = queues[name].indexOf(entry);
+                    if(position === -1) return;
+                    queues[name].splice(position, 1);
+                    reject(new DOMException("The request was aborted.", "AbortError"));
+                });
+                (queues[name] = queues[name] || []).push(entry);
+                grant(name);
+            });
+        }
+    };
+}
+
+const wait = milliseconds => new Promise(success => setTimeout(success, milliseconds));
+
+module.exports = { loadLocalDatabase, createLocks, wait };
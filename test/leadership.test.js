@@ -0,0 +1,53 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { IDBFactory } = require("fake-indexeddb");
+const { loadLocalDatabase, createLocks, wait } = require("./helpers");
+
+const openTabs = async count => {
+    const indexedDB = new IDBFactory();
+    const navigator = { locks: createLocks() };
+    const tabs = [];
+    for(let position = 0; position < count; position++) {
+        const LocalDatabase = loadLocalDatabase({ indexedDB, navigator });
+        await LocalDatabase.init(new LocalDatabase.Database("Shop", [new LocalDatabase.Table("People", new LocalDatabase.Column("id"), [])]));
+        tabs.push(LocalDatabase);
+    }
+    return tabs;
+}
+
+test("becomeLeader elects one tab at a time, handing over when the leader closes", async () => {
+    const [first, second] = await openTabs(2);
+    await first.becomeLeader();
+    assert.equal(first.isLeader, true);
+
+    let isSecondElected = false;
+    const electing = second.becomeLeader().then(() => { isSecondElected = true; });
+    await wait(20);
+    assert.equal(isSecondElected, false);
+    assert.equal(second.isLeader, false);
+
+    first.close();
+    await electing;
+    assert.equal(first.isLeader, false);
+    assert.equal(second.isLeader, true);
+    second.close();
+});
+
+test("becomeLeader rejects when the database is closed while waiting", async () => {
+    const [first, second] = await openTabs(2);
+    await first.becomeLeader();
+
+    const electing = second.becomeLeader();
+    await wait(10);
+    second.close();
+    await assert.rejects(electing, error => error instanceof second.LocalDatabaseError && /closed before this tab became the leader/.test(error.message));
+    assert.equal(first.isLeader, true);
+    first.close();
+});
+
+test("becomeLeader rejects without the Web Locks API", async () => {
+    const LocalDatabase = loadLocalDatabase();
+    await LocalDatabase.init(new LocalDatabase.Database("Shop", [new LocalDatabase.Table("People", new LocalDatabase.Column("id"), [])]));
+    await assert.rejects(LocalDatabase.becomeLeader(), error => error instanceof LocalDatabase.LocalDatabaseError && /Web Locks API/.test(error.message));
+    assert.equal(LocalDatabase.isLeader, false);
+});
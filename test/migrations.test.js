@@ -0,0 +1,35 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadLocalDatabase } = require("./helpers");
+
+test("migrations run after the schema was upgraded automatically without a version bump", async () => {
+    const LocalDatabase = loadLocalDatabase();
+    const { Database, Table, Column, Migration } = LocalDatabase;
+
+    await LocalDatabase.init(new Database("Shop", [new Table("People", new Column("id"), [new Column("name")])], 1));
+    await LocalDatabase.add("People", { id: 1, name: "Ann" });
+    // A new column without a new version is created automatically
+    await LocalDatabase.init(new Database("Shop", [new Table("People", new Column("id"), [new Column("name"), new Column("age")])], 1));
+    assert.equal(LocalDatabase.version, 1);
+
+    await LocalDatabase.init(new Database("Shop", [new Table("People", new Column("id"), [new Column("name"), new Column("age"), new Column("fullName")])], 2, [
+        new Migration(2, [Migration.transform("People", person => ({ ...person, fullName: `${person.name} Smith` }))])
+    ]));
+    assert.equal(LocalDatabase.version, 2);
+    assert.deepEqual(await LocalDatabase.select("People", { fullName: "Ann Smith" }), [{ id: 1, name: "Ann", fullName: "Ann Smith" }]);
+});
+
+test("a failed migration rolls back and leaves the database closed", async () => {
+    const LocalDatabase = loadLocalDatabase();
+    const { Database, Table, Column, Migration } = LocalDatabase;
+
+    await LocalDatabase.init(new Database("Shop", [new Table("People", new Column("id"), [])], 1));
+    await LocalDatabase.add("People", { id: 1 });
+    await assert.rejects(LocalDatabase.init(new Database("Shop", [new Table("People", new Column("id"), [])], 2, [
+        new Migration(2, [Migration.transform("People", () => { throw new Error("Bad migration"); })])
+    ])), LocalDatabase.LocalDatabaseError);
+    await assert.rejects(LocalDatabase.select("People"), LocalDatabase.NotInitialisedError);
+
+    await LocalDatabase.init(new Database("Shop", [new Table("People", new Column("id"), [])], 1));
+    assert.deepEqual(await LocalDatabase.select("People"), [{ id: 1 }]);
+});
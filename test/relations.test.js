@@ -0,0 +1,66 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadLocalDatabase } = require("./helpers");
+
+const open = async () => {
+    const LocalDatabase = loadLocalDatabase();
+    const { Database, Table, Column } = LocalDatabase;
+    await LocalDatabase.init(new Database("Shop", [
+        new Table("People", new Column("id"), []),
+        new Table("Orders", new Column("id"), [new Column("personId", { references: "People" })]),
+        new Table("Reviews", new Column("id"), [new Column("personId", { references: "People", onDelete: "cascade" })]),
+        new Table("Notes", new Column("id"), [new Column("personId", { references: "People", onDelete: "setNull" })])
+    ]));
+    await LocalDatabase.multiAdd("People", [{ id: 1 }, { id: 2 }]);
+    return LocalDatabase;
+}
+
+test("add and multiAdd reject rows referencing rows that don't exist", async () => {
+    const LocalDatabase = await open();
+    await assert.rejects(LocalDatabase.add("Orders", { id: 1, personId: 99 }), LocalDatabase.ConstraintError);
+    await assert.rejects(LocalDatabase.multiAdd("Orders", [{ id: 1, personId: 1 }, { id: 2, personId: 99 }]), LocalDatabase.ConstraintError);
+    assert.deepEqual(await LocalDatabase.select("Orders"), []);
+
+    await LocalDatabase.add("Orders", { id: 1, personId: 1 });
+    await LocalDatabase.add("Orders", { id: 2 });
+    assert.equal(await LocalDatabase.count("Orders"), 2);
+});
+
+test("update rejects changes that reference rows that don't exist, changing nothing", async () => {
+    const LocalDatabase = await open();
+    await LocalDatabase.multiAdd("Orders", [{ id: 1, personId: 1 }, { id: 2, personId: 1 }]);
+
+    await assert.rejects(LocalDatabase.update("Orders", {}, { $set: { personId: 99 } }), error => {
+        assert.ok(error instanceof LocalDatabase.ConstraintError);
+        assert.deepEqual(error.keys, [99]);
+        return true;
+    });
+    assert.deepEqual(await LocalDatabase.select("Orders"), [{ id: 1, personId: 1 }, { id: 2, personId: 1 }]);
+
+    assert.deepEqual(await LocalDatabase.update("Orders", { id: 2 }, { $set: { personId: 2 } }), { matched: 1, modified: 1 });
+    assert.deepEqual(await LocalDatabase.select("Orders", { id: 2 }), [{ id: 2, personId: 2 }]);
+});
+
+test("delete restricts, cascades or sets references to null", async () => {
+    const LocalDatabase = await open();
+    await LocalDatabase.add("Orders", { id: 1, personId: 1 });
+    await LocalDatabase.add("Reviews", { id: 1, personId: 2 });
+    await LocalDatabase.add("Notes", { id: 1, personId: 2 });
+
+    await assert.rejects(LocalDatabase.delete("People", { id: 1 }), LocalDatabase.ConstraintError);
+    assert.equal(await LocalDatabase.count("People"), 2);
+
+    await LocalDatabase.delete("People", { id: 2 });
+    assert.deepEqual(await LocalDatabase.select("Reviews"), []);
+    assert.deepEqual(await LocalDatabase.select("Notes"), [{ id: 1, personId: null }]);
+});
+
+test("populate fills in referenced and referencing rows", async () => {
+    const LocalDatabase = await open();
+    await LocalDatabase.multiAdd("Orders", [{ id: 1, personId: 1 }, { id: 2, personId: 1 }]);
+
+    assert.deepEqual(await LocalDatabase.select("Orders", { id: 1 }, { populate: "personId" }), [{ id: 1, personId: { id: 1 } }]);
+    assert.deepEqual(await LocalDatabase.select("People", { id: 1 }, { populate: { table: "Orders", column: "personId" } }), [
+        { id: 1, Orders: [{ id: 1, personId: 1 }, { id: 2, personId: 1 }] }
+    ]);
+});
@@ -0,0 +1,65 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadLocalDatabase, wait } = require("./helpers");
+
+const adapters = {
+    IndexedDB: () => undefined,
+    MemoryAdapter: LocalDatabase => new LocalDatabase.MemoryAdapter()
+};
+
+for(const [adapterName, createAdapter] of Object.entries(adapters)) {
+    const open = async () => {
+        const LocalDatabase = loadLocalDatabase();
+        const adapter = createAdapter(LocalDatabase);
+        if(adapter) LocalDatabase.defaultAdapter = adapter;
+        await LocalDatabase.init(new LocalDatabase.Database("Shop", [
+            new LocalDatabase.Table("Inventory", new LocalDatabase.Column("id"), [new LocalDatabase.Column("stock")]),
+            new LocalDatabase.Table("Cart", new LocalDatabase.Column("id"), [])
+        ]));
+        await LocalDatabase.add("Inventory", { id: 1, stock: 5 });
+        return LocalDatabase;
+    }
+
+    test(`${adapterName}: transaction commits every change together and resolves with the callback's result`, async () => {
+        const LocalDatabase = await open();
+        const result = await LocalDatabase.transaction(["Inventory", "Cart"], async tx => {
+            const [item] = await tx.select("Inventory", { id: 1 });
+            await tx.update("Inventory", { id: 1 }, { $inc: { stock: -1 } });
+            await tx.add("Cart", { id: item.id });
+            return "bought";
+        });
+        assert.equal(result, "bought");
+        assert.deepEqual(await LocalDatabase.select("Inventory"), [{ id: 1, stock: 4 }]);
+        assert.deepEqual(await LocalDatabase.select("Cart"), [{ id: 1 }]);
+    });
+
+    test(`${adapterName}: transaction rolls back every change when the callback throws`, async () => {
+        const LocalDatabase = await open();
+        await assert.rejects(LocalDatabase.transaction(["Inventory", "Cart"], async tx => {
+            await tx.add("Cart", { id: 1 });
+            await tx.delete("Inventory", { id: 1 });
+            throw new Error("Out of stock");
+        }), { message: "Out of stock" });
+        assert.deepEqual(await LocalDatabase.select("Cart"), []);
+        assert.deepEqual(await LocalDatabase.select("Inventory"), [{ id: 1, stock: 5 }]);
+    });
+
+    test(`${adapterName}: transaction rejects with a LocalDatabaseError when it is committed while the callback waits`, async () => {
+        const LocalDatabase = await open();
+        const unhandled = [];
+        const onUnhandled = error => unhandled.push(error);
+        process.on("unhandledRejection", onUnhandled);
+        try {
+            await assert.rejects(LocalDatabase.transaction(["Cart"], async tx => {
+                await tx.add("Cart", { id: 1 });
+                await wait(20);
+                await tx.add("Cart", { id: 2 });
+            }), error => error instanceof LocalDatabase.LocalDatabaseError && /already committed/.test(error.message));
+            await wait(20);
+        } finally {
+            process.off("unhandledRejection", onUnhandled);
+        }
+        assert.deepEqual(unhandled, []);
+        assert.deepEqual(await LocalDatabase.select("Cart"), [{ id: 1 }]);
+    });
+}